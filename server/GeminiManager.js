@@ -0,0 +1,460 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { ERROR_CODES, ProviderError } from "./errors.js";
+
+
+// Circuit breaker tuning
+const RATE_LIMIT_BASE_COOLDOWN_MS = 30 * 1000;
+const RATE_LIMIT_MAX_COOLDOWN_MS = 60 * 60 * 1000;
+const TRANSIENT_COOLDOWN_MS = 15 * 1000;
+const MAX_TRANSIENT_RETRIES = 2;
+const TRANSIENT_RETRY_BASE_MS = 500;
+
+// How the SDK words failures to reach Gemini or to read its reply; they carry no HTTP status
+const CONNECTION_ERROR_PATTERN = /Error fetching from|Error reading from the stream|Failed to parse stream|Error parsing JSON response/;
+
+/**
+ * Classifies a Gemini error so the manager knows what to do with the key.
+ *   - 'auth': revoked or invalid key, disable it permanently
+ *   - 'rate_limit': quota hit, cool the key down with exponential backoff
+ *   - 'transient': 5xx or the connection failed, retry a few times
+ *   - 'request': the request itself is bad (blocked, invalid argument), another key won't help
+ *
+ * @param {Error} error - Error thrown by the Gemini SDK.
+ * @returns {'auth' | 'rate_limit' | 'transient' | 'request'}
+ */
+export const classifyGeminiError = (error) => {
+  const status = error?.status;
+  const message = String(error?.message || '');
+
+  // Invalid keys come back as 400 with API_KEY_INVALID, so check the message first
+  if (status === 401 || status === 403 || /API_KEY_INVALID|API key not valid|API key expired|PERMISSION_DENIED/i.test(message)) {
+    return 'auth';
+  }
+  if (status === 429 || /RESOURCE_EXHAUSTED|quota|rate limit|\b429\b/i.test(message)) {
+    return 'rate_limit';
+  }
+  if (error?.name === 'GoogleGenerativeAIResponseError' || /blocked|SAFETY/i.test(message)) {
+    return 'request';
+  }
+  if (status >= 500 || (!status && CONNECTION_ERROR_PATTERN.test(message))) {
+    return 'transient';
+  }
+  // Anything else, including the SDK rejecting the request before sending it
+  // (e.g. a history that opens with a model turn), fails the same way on every key
+  return 'request';
+};
+
+/**
+ * The ProviderError to report for a Gemini failure of the given kind.
+ */
+const toGeminiError = (error, kind) => {
+  const codes = {
+    auth: ERROR_CODES.INVALID_KEY,
+    rate_limit: ERROR_CODES.RATE_LIMITED,
+    transient: ERROR_CODES.UNAVAILABLE,
+    request: /blocked|SAFETY/i.test(String(error?.message || '')) ? ERROR_CODES.BLOCKED : ERROR_CODES.BAD_REQUEST
+  };
+  return new ProviderError(codes[kind], `Gemini: ${error?.message || 'Unknown error'}`, { cause: error });
+};
+
+/**
+ * Reads the server-suggested retry delay (e.g. "36s") from a 429 error, if any.
+ */
+const getRetryDelayMs = (error) => {
+  const retryInfo = error?.errorDetails?.find(detail => String(detail['@type'] || '').includes('RetryInfo'));
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return Number.isFinite(seconds) ? seconds * 1000 : 0;
+};
+
+/**
+ * Token counts from a Gemini response, in the shape providers report them.
+ */
+const toUsage = (usageMetadata) => (usageMetadata
+  ? { inputTokens: usageMetadata.promptTokenCount ?? null, outputTokens: usageMetadata.candidatesTokenCount ?? null }
+  : null);
+
+/**
+ * Short, non-reversible id for a key so health state can be stored without the key itself.
+ */
+const fingerprintKey = (key) => {
+  let hash = 5381;
+  for (let i = 0; i < key.length; i++) {
+    hash = ((hash << 5) + hash + key.charCodeAt(i)) >>> 0;
+  }
+  return `${hash.toString(36)}-${key.slice(-4)}`;
+};
+
+/**
+ * Waits for the given time, rejecting early if the request is cancelled.
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+/**
+ * @fileoverview Manages Gemini API interactions with robust fallback mechanisms.
+ * Handles key rotation, per-key circuit breaking, error recovery, and system alerts.
+ * Runs on the server only, so the keys never reach the browser.
+ */
+export class GeminiManager {
+  /**
+   * @param {string[]} apiKeys - Array of Gemini API keys (Primary, Secondary, Tertiary, etc.)
+   * @param {string} modelName - The model version to use (default: gemini-1.5-flash)
+   * @param {Object} config - Optional generation config (temperature, tokens, etc.)
+   * @param {Object} [options]
+   * @param {{load: () => Object|null, save: (state: Object) => void}} [options.healthStore] - Persists key health between reloads
+   */
+  constructor(apiKeys, modelName = "gemini-1.5-flash", config = {}, { healthStore = null } = {}) {
+    if (!Array.isArray(apiKeys) || apiKeys.length === 0) {
+      throw new Error("GeminiManager: At least one API key is required.");
+    }
+
+    this.apiKeys = apiKeys;
+    this.modelName = modelName;
+    this.config = config;
+    this.healthStore = healthStore;
+
+    // Track the current active key index. 
+    // We persist this index so we don't keep retrying dead keys (like quota exceeded) 
+    // on subsequent messages within the same session.
+    this.currentKeyIndex = 0;
+
+    // Per-key health, keyed by fingerprint
+    this.keyHealth = {};
+    this._loadHealth();
+  }
+
+  /**
+   * Restores key health saved by a previous session.
+   * @private
+   */
+  _loadHealth() {
+    const saved = this.healthStore?.load();
+    if (!saved) return;
+
+    const fingerprints = this.apiKeys.map(fingerprintKey);
+    // Drop state for keys that are no longer configured
+    for (const [fingerprint, health] of Object.entries(saved.keys || {})) {
+      if (fingerprints.includes(fingerprint)) {
+        this.keyHealth[fingerprint] = health;
+      }
+    }
+    if (saved.currentKeyIndex < this.apiKeys.length) {
+      this.currentKeyIndex = saved.currentKeyIndex;
+    }
+  }
+
+  /**
+   * Persists key health so a restart does not forget dead keys.
+   * @private
+   */
+  _saveHealth() {
+    this.healthStore?.save({ keys: this.keyHealth, currentKeyIndex: this.currentKeyIndex });
+  }
+
+  _getHealth(key) {
+    const fingerprint = fingerprintKey(key);
+    if (!this.keyHealth[fingerprint]) {
+      this.keyHealth[fingerprint] = { status: 'healthy', failures: 0, cooldownUntil: 0, lastError: null, lastErrorAt: null };
+    }
+    return this.keyHealth[fingerprint];
+  }
+
+  /**
+   * Whether a key can take requests right now.
+   * @private
+   */
+  _isAvailable(key, now = Date.now()) {
+    const health = this._getHealth(key);
+    if (health.status === 'disabled') return false;
+    return !(health.status === 'cooling' && health.cooldownUntil > now);
+  }
+
+  _recordSuccess(key) {
+    const health = this._getHealth(key);
+    const changed = health.status !== 'healthy' || health.failures > 0;
+    Object.assign(health, { status: 'healthy', failures: 0, cooldownUntil: 0 });
+    if (changed) this._saveHealth();
+  }
+
+  /**
+   * Updates a key's circuit after a failed request.
+   * @private
+   */
+  _recordFailure(key, kind, error) {
+    const health = this._getHealth(key);
+    health.failures += 1;
+    health.lastError = kind;
+    health.lastErrorAt = Date.now();
+
+    if (kind === 'auth') {
+      health.status = 'disabled';
+      health.cooldownUntil = 0;
+    } else if (kind === 'rate_limit') {
+      const backoff = Math.min(RATE_LIMIT_BASE_COOLDOWN_MS * 2 ** (health.failures - 1), RATE_LIMIT_MAX_COOLDOWN_MS);
+      health.status = 'cooling';
+      health.cooldownUntil = Date.now() + Math.max(backoff, getRetryDelayMs(error));
+    } else if (kind === 'transient') {
+      health.status = 'cooling';
+      health.cooldownUntil = Date.now() + TRANSIENT_COOLDOWN_MS;
+    }
+
+    this._saveHealth();
+  }
+
+  /**
+   * Snapshot of every key's health for the UI. Keys are only identified by their last 4 characters.
+   * @returns {Array<{key: string, status: 'healthy'|'cooling'|'disabled', failures: number, cooldownUntil: number, lastError: string|null}>}
+   */
+  getKeyHealth() {
+    const now = Date.now();
+    return this.apiKeys.map(key => {
+      const health = this._getHealth(key);
+      // A finished cooldown reads as healthy again
+      const status = health.status === 'cooling' && health.cooldownUntil <= now ? 'healthy' : health.status;
+      return {
+        key: `...${key.slice(-4)}`,
+        status,
+        failures: health.failures,
+        cooldownUntil: status === 'cooling' ? health.cooldownUntil : 0,
+        lastError: health.lastError
+      };
+    });
+  }
+
+  /**
+   * Whether at least one key can take requests right now.
+   */
+  hasAvailableKey() {
+    return this.apiKeys.some(key => this._isAvailable(key));
+  }
+
+  /**
+   * Builds a model instance bound to a single API key.
+   * @private
+   */
+  _getModel(apiKey, { systemInstruction = null, modelName = null, safetySettings = null } = {}) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    // Use provided modelName or fallback to instance default
+    return genAI.getGenerativeModel({
+      model: modelName || this.modelName,
+      systemInstruction: systemInstruction,
+      ...(safetySettings?.length > 0 && { safetySettings }),
+      ...this.config
+    });
+  }
+
+  /**
+   * Generation config for one request; values the chat did not set keep the manager's defaults.
+   * @private
+   */
+  _generationConfig({ temperature = null, topP = null, maxOutputTokens = null }) {
+    return {
+      ...this.config,
+      temperature: temperature ?? this.config.temperature,
+      topP: topP ?? this.config.topP,
+      maxOutputTokens: maxOutputTokens ?? this.config.maxOutputTokens
+    };
+  }
+
+  /**
+   * Runs a request against the available keys, starting with the current one.
+   * Revoked keys are skipped, rate-limited keys wait out their cooldown and
+   * transient failures are retried on the same key with jittered backoff.
+   *
+   * @param {(key: string) => Promise<string>} attempt - Performs the request with one key.
+   * @param {AbortSignal} [signal]
+   * @param {(kind: string) => void} [onKeyFailure] - Called whenever a key is given up on for this request.
+   * @returns {Promise<string>} - The AI response.
+   * @throws {ProviderError} - When no key could answer, or the request itself was refused.
+   * @private
+   */
+  async _runWithKeys(attempt, signal, onKeyFailure) {
+    const totalKeys = this.apiKeys.length;
+
+    // Loop through keys until we find one that works or exhaust all options
+    for (let offset = 0; offset < totalKeys; offset++) {
+      const keyIndex = (this.currentKeyIndex + offset) % totalKeys;
+      const currentKey = this.apiKeys[keyIndex];
+
+      if (!this._isAvailable(currentKey)) continue;
+
+      for (let retry = 0; ; retry++) {
+        try {
+          const text = await attempt(currentKey);
+
+          if (this.currentKeyIndex !== keyIndex) {
+            this.currentKeyIndex = keyIndex;
+            this._saveHealth();
+          }
+          this._recordSuccess(currentKey);
+          return text;
+
+        } catch (error) {
+          // Do not rotate keys if the user cancelled the request
+          if (error.name === 'AbortError' || signal?.aborted) {
+            throw error;
+          }
+
+          const kind = classifyGeminiError(error);
+
+          console.warn(
+            `[GeminiManager] Key ending in ...${currentKey.slice(-4)} failed (${kind}).`,
+            `Reason: ${error.message || "Unknown error"}`
+          );
+
+          // Part of a streamed reply is already on screen, or another key would fail the same way
+          if (error.partial || kind === 'request') {
+            throw Object.assign(toGeminiError(error, kind), { partial: Boolean(error.partial) });
+          }
+
+          if (kind === 'transient' && retry < MAX_TRANSIENT_RETRIES) {
+            const delay = TRANSIENT_RETRY_BASE_MS * 2 ** retry;
+            await wait(delay / 2 + Math.random() * delay, signal);
+            continue;
+          }
+
+          this._recordFailure(currentKey, kind, error);
+          onKeyFailure?.(kind);
+          break;
+        }
+      }
+    }
+
+    // If the loop finishes, it means all keys failed
+    this._handleTotalFailure();
+    throw this._exhaustedError();
+  }
+
+  /**
+   * Why no key could answer, from the reasons each one was taken out of rotation.
+   * @private
+   */
+  _exhaustedError() {
+    const reasons = this.apiKeys.map(key => this._getHealth(key).lastError);
+    let code = ERROR_CODES.BUSY;
+    if (reasons.every(reason => reason === 'auth')) code = ERROR_CODES.INVALID_KEY;
+    else if (reasons.includes('rate_limit')) code = ERROR_CODES.RATE_LIMITED;
+    else if (reasons.includes('transient')) code = ERROR_CODES.UNAVAILABLE;
+    return new ProviderError(code, 'All Gemini keys failed.');
+  }
+
+  /**
+   * Sends a prompt to Gemini and returns the text response.
+   * Automatically rotates keys on failure.
+   * 
+   * @param {string|Array<Object>} prompt - The user's chat message, or Gemini parts when images are attached.
+   * @param {Object} options - Extra options for chat history, system prompts, etc.
+   * @param {number} [options.temperature]
+   * @param {number} [options.topP]
+   * @param {number} [options.maxOutputTokens]
+   * @param {Array<{category: string, threshold: string}>} [options.safetySettings] - Per-category block thresholds
+   * @param {(usage: {inputTokens: number|null, outputTokens: number|null}) => void} [options.onUsage] - Receives the reply's token counts.
+   * @param {(kind: string) => void} [options.onKeyFailure] - Called for every key that failed before one answered.
+   * @returns {Promise<string>} - The AI response.
+   * @throws {ProviderError} - When no key could answer.
+   */
+  async generateResponse(prompt, { history = [], systemInstruction = null, modelName = null, signal = null, temperature = null, topP = null, maxOutputTokens = null, safetySettings = null, onUsage = null, onKeyFailure = null } = {}) {
+    return this._runWithKeys(async (currentKey) => {
+      const model = this._getModel(currentKey, { systemInstruction, modelName, safetySettings });
+      const generationConfig = this._generationConfig({ temperature, topP, maxOutputTokens });
+
+      // Handle Chat (Multi-turn) vs GenerateContent (Single-turn)
+      if (history && history.length > 0) {
+        const chat = model.startChat({
+          history: history,
+          generationConfig
+        });
+
+        const result = await chat.sendMessage(prompt);
+
+        // Manual Abort Check (Gemini SDK doesn't fully support signal in sendMessage yet)
+        if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+
+        const response = await result.response;
+        const text = response.text();
+        onUsage?.(toUsage(response.usageMetadata));
+        return text;
+      }
+
+      const result = await model.generateContent({
+        contents: [{ role: 'user', parts: typeof prompt === 'string' ? [{ text: prompt }] : prompt }],
+        generationConfig
+      });
+      if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+      const response = await result.response;
+      const text = response.text();
+      onUsage?.(toUsage(response.usageMetadata));
+      return text;
+    }, signal, onKeyFailure);
+  }
+
+  /**
+   * Streams a response from Gemini, reporting each text chunk as it arrives.
+   * Keys are only rotated until the first chunk is received; once text has
+   * reached the caller a failure is thrown instead, so the reply is never
+   * restarted on a different key halfway through.
+   *
+   * @param {string|Array<Object>} prompt - The user's chat message, or Gemini parts when images are attached.
+   * @param {Object} options - Same options as generateResponse, plus onChunk.
+   * @param {(chunk: string, fullText: string) => void} [options.onChunk] - Called for every streamed chunk.
+   * @returns {Promise<string>} - The complete AI response.
+   * @throws {ProviderError} - When no key could answer, or the stream broke after text was sent.
+   */
+  async streamResponse(prompt, { history = [], systemInstruction = null, modelName = null, signal = null, temperature = null, topP = null, maxOutputTokens = null, safetySettings = null, onChunk = null, onUsage = null, onKeyFailure = null } = {}) {
+    return this._runWithKeys(async (currentKey) => {
+      const model = this._getModel(currentKey, { systemInstruction, modelName, safetySettings });
+      const generationConfig = this._generationConfig({ temperature, topP, maxOutputTokens });
+      let text = "";
+
+      try {
+        // The stream methods accept the signal directly, so aborting cancels the fetch itself
+        const result = history && history.length > 0
+          ? await model.startChat({ history, generationConfig }).sendMessageStream(prompt, { signal })
+          : await model.generateContentStream({
+            contents: [{ role: 'user', parts: typeof prompt === 'string' ? [{ text: prompt }] : prompt }],
+            generationConfig
+          }, { signal });
+
+        for await (const chunk of result.stream) {
+          if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+
+          const chunkText = chunk.text();
+          if (!chunkText) continue;
+
+          text += chunkText;
+          onChunk?.(chunkText, text);
+        }
+
+        // The aggregated response carries the token counts once the stream is done
+        onUsage?.(toUsage((await result.response).usageMetadata));
+        return text;
+      } catch (error) {
+        if (text && error.name !== 'AbortError') {
+          error.partial = true;
+        }
+        throw error;
+      }
+    }, signal, onKeyFailure);
+  }
+
+  /**
+   * Handles the critical scenario where all API keys have failed.
+   * The server has no browser to notify, so this is a loud log line;
+   * the client raises its own alert when it receives the error.
+   * @private
+   */
+  _handleTotalFailure() {
+    const summary = this.getKeyHealth().map(key => `${key.key}=${key.status}`).join(', ');
+    console.error(`CRITICAL ALERT: All Gemini API keys are exhausted or failing. [${summary}]`);
+  }
+}
@@ -0,0 +1,109 @@
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Project root (one level above server/)
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Loads KEY=value pairs from a .env file into process.env.
+ * Variables already set in the environment take precedence.
+ */
+const loadEnvFile = (filePath) => {
+  if (!existsSync(filePath)) return;
+
+  for (const line of readFileSync(filePath, 'utf8').split('\n')) {
+    const match = line.match(/^\s*([\w.]+)\s*=\s*(.*)\s*$/);
+    if (!match || line.trim().startsWith('#')) continue;
+
+    const [, name, rawValue] = match;
+    const value = rawValue.replace(/^(['"])(.*)\1$/, '$2');
+    if (process.env[name] === undefined) {
+      process.env[name] = value;
+    }
+  }
+};
+
+/**
+ * Splits a comma separated env variable into a clean list.
+ */
+const readList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Parses per-mode limits such as "Coder:40,Chill:15" into { Coder: 40, Chill: 15 }.
+ */
+const readModeLimits = (value) => Object.fromEntries(readList(value)
+  .map(entry => entry.split(':').map(part => part.trim()))
+  .filter(([mode, limit]) => mode && Number.isFinite(Number(limit)))
+  .map(([mode, limit]) => [mode, Number(limit)]));
+
+loadEnvFile(path.join(ROOT_DIR, '.env'));
+
+const defaultGeminiModel = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+// Server-side configuration. Keys are read from the environment only, never from the client bundle.
+export const config = {
+  port: Number(process.env.PORT) || 8787,
+  dataDir: process.env.RYUNEX_DATA_DIR || path.join(ROOT_DIR, 'server', 'data'),
+  distDir: path.join(ROOT_DIR, 'dist'),
+  // Set when a reverse proxy in front of the server sets X-Forwarded-For
+  trustProxy: process.env.TRUST_PROXY === 'true',
+
+  gemini: {
+    apiKeys: readList(process.env.GEMINI_API_KEYS),
+    defaultModel: defaultGeminiModel,
+    // Models a chat may pick in its generation settings; anything else falls back to the default
+    models: [...new Set([
+      defaultGeminiModel,
+      ...readList(process.env.GEMINI_MODELS || 'gemini-2.5-flash,gemini-2.5-pro,gemini-2.5-flash-lite')
+    ])],
+    maxOutputTokens: Number(process.env.GEMINI_MAX_OUTPUT_TOKENS) || 8192
+  },
+
+  groq: {
+    apiKey: process.env.GROQ_API_KEY,
+    model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile'
+  },
+
+  // HuggingFace router models, tried in order when Gemini and Groq are down
+  huggingFace: [
+    {
+      modelName: "Mistral 7B Instruct v0.3",
+      id: "mistralai/Mistral-7B-Instruct-v0.3",
+      apiKey: process.env.HF_KEY_MISTRAL
+    },
+    {
+      modelName: "Qwen 2.5",
+      id: "Qwen/Qwen2.5-72B-Instruct",
+      apiKey: process.env.HF_KEY_QWEN
+    },
+    {
+      modelName: "Llama 3",
+      id: "meta-llama/Meta-Llama-3-8B-Instruct",
+      apiKey: process.env.HF_KEY_LLAMA
+    }
+  ],
+
+  // Daily message allowance per tier. `modes` caps single modes inside the daily total.
+  quota: {
+    // Built-in modes, each counted on its own; custom modes share the 'custom' cap
+    modes: ['Student', 'Coder', 'Chill', 'Solance'],
+    defaultTier: 'free',
+    tiers: {
+      free: {
+        daily: Number(process.env.QUOTA_FREE_DAILY) || 25,
+        modes: readModeLimits(process.env.QUOTA_FREE_MODE_LIMITS)
+      },
+      pro: {
+        daily: Number(process.env.QUOTA_PRO_DAILY) || 200,
+        modes: readModeLimits(process.env.QUOTA_PRO_MODE_LIMITS)
+      }
+    },
+    // Messages a day from one client IP, shared by every device behind it (pro devices are exempt)
+    ipDaily: Number(process.env.QUOTA_IP_DAILY) || 100,
+    // Device ids that are given the pro tier
+    proDevices: readList(process.env.QUOTA_PRO_DEVICES),
+    // Signs the device cookie; generated and kept in dataDir when not set
+    deviceSecret: process.env.QUOTA_DEVICE_SECRET
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Typed provider failures.
+ * Providers throw a ProviderError instead of returning sentinel text, and the API server
+ * sends its code to the client, which picks the explanation shown to the user
+ * (see src/utils/errors.js). Messages here are for logs, not for users.
+ */
+
+export const ERROR_CODES = {
+  // Every key or model hit its rate limit or quota
+  RATE_LIMITED: 'rate_limited',
+  // Keys were revoked or are invalid; the owner has to replace them
+  INVALID_KEY: 'invalid_key',
+  // The safety filters refused the prompt or the reply
+  BLOCKED: 'blocked',
+  // The request itself was rejected (too long, bad image, unknown model)
+  BAD_REQUEST: 'bad_request',
+  // 5xx or network trouble at the provider
+  UNAVAILABLE: 'unavailable',
+  // Every provider failed, for mixed or unknown reasons
+  BUSY: 'busy'
+};
+
+// Failures that may go away by themselves, so the client can queue the message and try again
+const RETRYABLE_CODES = [ERROR_CODES.RATE_LIMITED, ERROR_CODES.UNAVAILABLE, ERROR_CODES.BUSY];
+
+export class ProviderError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES.
+   * @param {string} message - What went wrong, for the server log.
+   * @param {Object} [options]
+   * @param {Error} [options.cause] - The provider's own error.
+   */
+  constructor(code, message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'ProviderError';
+    this.code = code;
+    this.retryable = RETRYABLE_CODES.includes(code);
+  }
+
+  /**
+   * The part the client sees. The message can carry provider internals, so it stays in the server log.
+   */
+  toJSON() {
+    return { code: this.code, retryable: this.retryable };
+  }
+}
+
+/**
+ * Whether the failure was a refusal of the request itself (safety filters, invalid input).
+ * Another provider must not be asked instead: it would bypass the chat's safety settings,
+ * and the provider that refused is not at fault.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isRequestRejected = (error) => error instanceof ProviderError
+  && (error.code === ERROR_CODES.BLOCKED || error.code === ERROR_CODES.BAD_REQUEST);
+
+/**
+ * Wraps any provider failure in a ProviderError, reading the HTTP status when there is one.
+ * @param {Error} error
+ * @returns {ProviderError}
+ */
+export const toProviderError = (error) => {
+  if (error instanceof ProviderError) return error;
+
+  const status = error?.status;
+  let code = ERROR_CODES.UNAVAILABLE;
+  if (status === 401 || status === 403) code = ERROR_CODES.INVALID_KEY;
+  else if (status === 429) code = ERROR_CODES.RATE_LIMITED;
+  else if (status >= 400 && status < 500) code = ERROR_CODES.BAD_REQUEST;
+
+  return new ProviderError(code, error?.message || 'Unknown provider error', { cause: error });
+};
+
+/**
+ * The most useful code to report when several providers failed differently: a refusal
+ * of the request itself beats capacity problems, which beat unknown trouble.
+ *
+ * @param {Array<Error>} errors - One per provider, in the order they were tried.
+ * @returns {string}
+ */
+export const pickErrorCode = (errors) => {
+  const codes = errors.map(error => error?.code);
+  const order = [ERROR_CODES.BLOCKED, ERROR_CODES.BAD_REQUEST, ERROR_CODES.RATE_LIMITED, ERROR_CODES.INVALID_KEY, ERROR_CODES.UNAVAILABLE];
+  return order.find(code => codes.includes(code)) || ERROR_CODES.BUSY;
+};
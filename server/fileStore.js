@@ -0,0 +1,30 @@
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Small JSON file store used for server state that must survive restarts.
+ * Writes go to a temp file first so a crash never leaves half-written JSON behind.
+ *
+ * @param {string} filePath - Where the JSON document lives.
+ * @returns {{load: () => Object|null, save: (state: Object) => void}}
+ */
+export const createJsonFileStore = (filePath) => ({
+  load() {
+    try {
+      return JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch {
+      return null;
+    }
+  },
+
+  save(state) {
+    try {
+      mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      writeFileSync(tempPath, JSON.stringify(state, null, 2));
+      renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`Failed to save ${path.basename(filePath)}:`, error);
+    }
+  }
+});
@@ -0,0 +1,405 @@
+import http from 'node:http';
+import { createReadStream, existsSync, statSync } from 'node:fs';
+import path from 'node:path';
+import { config } from './config.js';
+import { createJsonFileStore } from './fileStore.js';
+import { GeminiManager } from './GeminiManager.js';
+import { GeminiProvider, GroqProvider, HuggingFaceProvider, ProviderChain } from './providers.js';
+import { toProviderError } from './errors.js';
+import { QuotaService, identifyCaller, loadDeviceSecret } from './quota.js';
+
+/**
+ * @fileoverview RYUNEX API server.
+ * Holds the provider keys and exposes the chat endpoint the frontend talks to:
+ *   POST /api/chat   - chat reply, streamed as newline-delimited JSON when `stream` is true
+ *   POST /api/summarize - folds older chat turns into a running summary (capped separately from messages)
+ *   GET  /api/quota  - remaining daily allowance and id of the calling device
+ *   GET  /api/models - models a chat can pick and the longest reply it can ask for
+ *   GET  /api/health - Gemini key health and provider status
+ * In production it also serves the built frontend from dist/.
+ */
+
+// Largest request body we accept (chat history and images included)
+const MAX_BODY_BYTES = 12 * 1024 * 1024;
+
+// Images Gemini accepts as inline data
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+const MAX_ATTACHMENTS = 4;
+
+// Gemini safety categories and block thresholds a chat may set
+const SAFETY_CATEGORIES = ['HARM_CATEGORY_HARASSMENT', 'HARM_CATEGORY_HATE_SPEECH', 'HARM_CATEGORY_SEXUALLY_EXPLICIT', 'HARM_CATEGORY_DANGEROUS_CONTENT'];
+const SAFETY_THRESHOLDS = ['BLOCK_NONE', 'BLOCK_ONLY_HIGH', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_LOW_AND_ABOVE'];
+
+// Fixed prompt for /api/summarize, so the endpoint can't be used as a free general-purpose chat
+const SUMMARY_INSTRUCTION = `
+You maintain a running summary of a conversation between a user and RYUNEX AI.
+Merge the existing summary (if any) with the new messages into one updated summary.
+Keep facts about the user, their goals, decisions made, code or formulas discussed and open questions.
+Drop greetings and small talk. Write at most 200 words in plain sentences, in the conversation's language.
+Reply with the summary only.
+`;
+
+// Bounds on what /api/summarize reads and writes, so a call can't stand in for a free long generation
+const MAX_SUMMARY_TURNS = 60;
+const MAX_SUMMARY_TURN_CHARS = 4000;
+const MAX_PREVIOUS_SUMMARY_CHARS = 4000;
+const MAX_SUMMARY_OUTPUT_TOKENS = 512;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.json': 'application/json'
+};
+
+if (config.gemini.apiKeys.length === 0) {
+  console.error("No Gemini API keys configured. Set GEMINI_API_KEYS in .env (comma separated).");
+}
+
+// Gemini key rotation, with key health persisted to disk so dead keys stay dead across restarts
+const geminiManager = config.gemini.apiKeys.length > 0
+  ? new GeminiManager(config.gemini.apiKeys, config.gemini.defaultModel, {}, {
+    healthStore: createJsonFileStore(path.join(config.dataDir, 'key-health.json'))
+  })
+  : null;
+
+// Cross-provider fallback order: Gemini first, then Groq, then HuggingFace
+const providerChain = new ProviderChain([
+  ...(geminiManager ? [new GeminiProvider(geminiManager)] : []),
+  new GroqProvider(config.groq.apiKey, config.groq.model),
+  new HuggingFaceProvider(config.huggingFace)
+]);
+
+// Daily message quota, counted per device and persisted so restarts don't reset it
+const quotaService = new QuotaService(config.quota, createJsonFileStore(path.join(config.dataDir, 'quota.json')));
+const deviceSecret = loadDeviceSecret(config.quota.deviceSecret, createJsonFileStore(path.join(config.dataDir, 'device-secret.json')));
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Reads and parses a JSON request body, rejecting oversized payloads and anything but an object.
+ */
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    let body;
+    try {
+      body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+    } catch {
+      reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+      return;
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      reject(Object.assign(new Error('Request body must be a JSON object'), { status: 400 }));
+      return;
+    }
+    resolve(body);
+  });
+  req.on('error', reject);
+});
+
+/**
+ * Keeps only well-formed base64 images of a supported type.
+ */
+const sanitizeAttachments = (attachments) => (Array.isArray(attachments) ? attachments : [])
+  .filter(attachment => IMAGE_MIME_TYPES.includes(attachment?.mimeType) && typeof attachment.data === 'string' && attachment.data)
+  .slice(0, MAX_ATTACHMENTS)
+  .map(attachment => ({ mimeType: attachment.mimeType, data: attachment.data }));
+
+/**
+ * Keeps only the message fields providers need.
+ */
+const sanitizeHistory = (history) => (Array.isArray(history) ? history : [])
+  .filter(msg => msg && typeof (msg.text ?? msg.content ?? '') === 'string')
+  .map(msg => ({
+    role: msg.role === 'ai' ? 'ai' : 'user',
+    text: msg.text ?? msg.content ?? '',
+    attachments: sanitizeAttachments(msg.attachments)
+  }))
+  .filter(msg => msg.text || msg.attachments.length > 0);
+
+/**
+ * Drops replies before the first user turn. Gemini rejects a history that opens with a model turn,
+ * and as that fails on every key it must not get as far as the provider chain.
+ */
+const startWithUserTurn = (history) => {
+  const firstUserTurn = history.findIndex(msg => msg.role === 'user');
+  return firstUserTurn === -1 ? [] : history.slice(firstUserTurn);
+};
+
+/**
+ * Keeps only known safety categories with known thresholds, one entry per category.
+ */
+const sanitizeSafetySettings = (settings) => (Array.isArray(settings) ? settings : [])
+  .filter(setting => SAFETY_CATEGORIES.includes(setting?.category) && SAFETY_THRESHOLDS.includes(setting.threshold))
+  .filter((setting, index, all) => all.findIndex(other => other.category === setting.category) === index)
+  .map(({ category, threshold }) => ({ category, threshold }));
+
+/**
+ * A number within [min, max], or null when the client sent none (the provider default applies).
+ */
+const readNumberInRange = (value, min, max) => (typeof value === 'number' && Number.isFinite(value)
+  ? Math.min(max, Math.max(min, value))
+  : null);
+
+const handleHealth = (req, res) => {
+  sendJson(res, 200, {
+    keys: geminiManager ? geminiManager.getKeyHealth() : [],
+    providers: providerChain.health()
+  });
+};
+
+/**
+ * The device and IP every quota-aware endpoint counts against, issuing a device cookie when needed.
+ */
+const getCaller = (req, res) => identifyCaller(req, res, { secret: deviceSecret, trustProxy: config.trustProxy });
+
+const handleQuota = (req, res) => {
+  const caller = getCaller(req, res);
+  const mode = new URL(req.url, 'http://localhost').searchParams.get('mode') || 'Solance';
+  // The id lets the owner give this device the pro tier (QUOTA_PRO_DEVICES)
+  sendJson(res, 200, { ...quotaService.getUsage(caller, mode), deviceId: caller.deviceId });
+};
+
+const handleModels = (req, res) => {
+  sendJson(res, 200, {
+    models: config.gemini.models,
+    defaultModel: config.gemini.defaultModel,
+    maxOutputTokens: config.gemini.maxOutputTokens
+  });
+};
+
+const handleChat = async (req, res) => {
+  const caller = getCaller(req, res);
+
+  const body = await readJsonBody(req);
+  const {
+    message = '',
+    history,
+    attachments,
+    mode = 'Solance',
+    systemInstruction = null,
+    modelName = null,
+    temperature = null,
+    topP = null,
+    maxOutputTokens = null,
+    safetySettings = null,
+    stream = false
+  } = body;
+  const images = sanitizeAttachments(attachments);
+
+  if (typeof message !== 'string' || (!message.trim() && images.length === 0)) {
+    sendJson(res, 400, { error: 'message or an image is required' });
+    return;
+  }
+
+  // Taken up front so parallel requests can't all slip under the limit; failed replies give it back
+  const reservation = quotaService.reserve(caller, mode);
+  if (!reservation) {
+    sendJson(res, 429, { error: 'Daily limit reached', isLimitReached: true, quota: quotaService.getUsage(caller, mode) });
+    return;
+  }
+  const refund = () => quotaService.refund(caller, mode, reservation.date);
+
+  // Stop generating when the browser goes away (user pressed stop or closed the tab)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const outputLimit = readNumberInRange(maxOutputTokens, 1, config.gemini.maxOutputTokens);
+  const request = {
+    prompt: message,
+    attachments: images,
+    history: startWithUserTurn(sanitizeHistory(history)),
+    systemInstruction: typeof systemInstruction === 'string' ? systemInstruction : null,
+    // Only configured models, so a chat can't run up costs on any model the keys can reach
+    modelName: config.gemini.models.includes(modelName) ? modelName : null,
+    temperature: readNumberInRange(temperature, 0, 2),
+    topP: readNumberInRange(topP, 0, 1),
+    maxOutputTokens: outputLimit === null ? null : Math.round(outputLimit),
+    safetySettings: sanitizeSafetySettings(safetySettings),
+    signal: controller.signal
+  };
+
+  if (!stream) {
+    let result;
+    try {
+      result = await providerChain.generate(request);
+    } catch (error) {
+      // Failed replies are not charged
+      const quota = refund();
+      if (controller.signal.aborted) return;
+      const failure = toProviderError(error);
+      console.error(`Chat error (${failure.code}):`, failure.message);
+      sendJson(res, 502, { success: false, error: failure.toJSON(), quota });
+      return;
+    }
+
+    sendJson(res, 200, { success: true, text: result.text, modelUsed: result.modelUsed, providerUsed: result.providerName, fellBack: result.fellBack, failovers: result.failovers, usage: result.usage, quota: quotaService.getUsage(caller, mode) });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+  let delivered = false;
+
+  try {
+    const result = await providerChain.stream({
+      ...request,
+      onChunk: (chunk, fullText, source) => {
+        delivered = true;
+        send({ type: 'chunk', text: chunk, modelUsed: source?.modelUsed });
+      }
+    });
+
+    send({ type: 'done', modelUsed: result.modelUsed, providerUsed: result.providerName, fellBack: result.fellBack, failovers: result.failovers, usage: result.usage, quota: quotaService.getUsage(caller, mode) });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      // A stopped reply still used the keys, and the client keeps the partial text
+      if (!delivered) refund();
+    } else {
+      const failure = toProviderError(error);
+      console.error(`Chat stream error (${failure.code}):`, failure.message);
+      send({ type: 'error', error: failure.toJSON(), quota: refund() });
+    }
+  }
+
+  res.end();
+};
+
+const handleSummarize = async (req, res) => {
+  const caller = getCaller(req, res);
+  const { previousSummary = null, messages } = await readJsonBody(req);
+  const turns = sanitizeHistory(messages)
+    .slice(-MAX_SUMMARY_TURNS)
+    .map(turn => ({ ...turn, text: turn.text.slice(0, MAX_SUMMARY_TURN_CHARS) }));
+
+  if (turns.length === 0) {
+    sendJson(res, 400, { error: 'messages are required' });
+    return;
+  }
+
+  const reservedOn = quotaService.reserveSummary(caller);
+  if (!reservedOn) {
+    sendJson(res, 429, { summary: null, error: 'Daily summary limit reached' });
+    return;
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const transcript = turns.map(turn => `${turn.role === 'ai' ? 'RYUNEX' : 'User'}: ${turn.text}`).join('\n\n');
+  const prompt = typeof previousSummary === 'string' && previousSummary
+    ? `Existing summary:\n${previousSummary.slice(0, MAX_PREVIOUS_SUMMARY_CHARS)}\n\nNew messages:\n${transcript}`
+    : `Messages:\n${transcript}`;
+
+  try {
+    const result = await providerChain.generate({
+      prompt,
+      history: [],
+      systemInstruction: SUMMARY_INSTRUCTION,
+      temperature: 0.2,
+      maxOutputTokens: MAX_SUMMARY_OUTPUT_TOKENS,
+      signal: controller.signal
+    });
+    sendJson(res, 200, { summary: result.text?.trim() || null });
+  } catch (error) {
+    quotaService.refundSummary(caller, reservedOn);
+    if (controller.signal.aborted) return;
+    const failure = toProviderError(error);
+    console.error(`Summary error (${failure.code}):`, failure.message);
+    sendJson(res, 503, { summary: null, error: failure.toJSON() });
+  }
+};
+
+/**
+ * Serves the built frontend, falling back to index.html for client-side routes.
+ */
+const serveStatic = (req, res) => {
+  const indexPath = path.join(config.distDir, 'index.html');
+  if (!existsSync(indexPath)) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  let requested;
+  try {
+    requested = path.normalize(decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+  } catch {
+    sendJson(res, 400, { error: 'Malformed URL' });
+    return;
+  }
+
+  // Only files inside dist/; a sibling such as dist-old shares the prefix but not the separator
+  let filePath = path.join(config.distDir, requested);
+  if (!filePath.startsWith(config.distDir + path.sep) || !existsSync(filePath) || statSync(filePath).isDirectory()) {
+    filePath = indexPath;
+  }
+
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+  createReadStream(filePath).pipe(res);
+};
+
+const routes = {
+  'GET /api/health': handleHealth,
+  'GET /api/quota': handleQuota,
+  'GET /api/models': handleModels,
+  'POST /api/chat': handleChat,
+  'POST /api/summarize': handleSummarize
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const handler = routes[`${req.method} ${pathname}`];
+
+  try {
+    if (handler) {
+      await handler(req, res);
+    } else if (pathname.startsWith('/api/')) {
+      sendJson(res, 404, { error: 'Not found' });
+    } else if (req.method === 'GET') {
+      serveStatic(req, res);
+    } else {
+      sendJson(res, 405, { error: 'Method not allowed' });
+    }
+  } catch (error) {
+    // Errors with a status are client mistakes (bad JSON, oversized body), not worth a stack trace
+    if (!error.status) {
+      console.error(`[server] ${req.method} ${pathname} failed:`, error);
+    }
+    if (!res.headersSent) {
+      sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+server.listen(config.port, () => {
+  console.log(`RYUNEX API server listening on http://localhost:${config.port}`);
+});
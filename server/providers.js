@@ -0,0 +1,450 @@
+import Groq from "groq-sdk";
+import { ProviderError, isRequestRejected, pickErrorCode, toProviderError } from "./errors.js";
+
+/**
+ * @fileoverview Pluggable AI provider registry.
+ * Every provider exposes the same interface so callers never care which backend answers:
+ *   - generate(request) -> Promise<string>
+ *   - stream(request)   -> Promise<string>, calling request.onChunk for every chunk
+ *   - health()          -> { id, name, ok, reason }
+ * A provider throws when it cannot answer; the ProviderChain then moves on to the next one.
+ */
+
+// How long a provider is skipped after it failed completely
+const PROVIDER_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Request shape shared by all providers.
+ * @typedef {Object} ProviderRequest
+ * @property {string} prompt - The user's chat message.
+ * @property {Array<{mimeType: string, data: string}>} [attachments] - Base64 images sent with the prompt.
+ * @property {Array<{role: string, text?: string, content?: string, attachments?: Array}>} history - Previous messages ('user' / 'ai').
+ * @property {string} [systemInstruction] - Mode system prompt.
+ * @property {string} [modelName] - Preferred Gemini model; other providers use their own models.
+ * @property {number} [temperature]
+ * @property {number} [topP]
+ * @property {number} [maxOutputTokens] - Longest reply, in tokens.
+ * @property {Array<{category: string, threshold: string}>} [safetySettings] - Gemini block thresholds; other providers ignore them.
+ * @property {AbortSignal} [signal]
+ * @property {(chunk: string, fullText: string, source?: {providerName: string, modelUsed: string}) => void} [onChunk]
+ * @property {(usage: TokenUsage) => void} [onUsage] - Receives the reply's token counts, when the backend reports them.
+ * @property {() => void} [onFailover] - Called when a provider gives up on one of its keys or models and tries another.
+ * @property {(modelName: string) => void} [onModel] - Called by providers with several models when they start on one,
+ *   so concurrent requests each learn which model served them.
+ */
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number|null} inputTokens - Prompt tokens, history and system prompt included.
+ * @property {number|null} outputTokens - Tokens in the reply.
+ */
+
+const isAbortError = (error, signal) => error?.name === 'AbortError' || signal?.aborted;
+
+/**
+ * Token counts from an OpenAI-style `usage` object (Groq and the HuggingFace router).
+ */
+const reportChatUsage = (request, usage) => {
+  if (!usage) return;
+  request.onUsage?.({ inputTokens: usage.prompt_tokens ?? null, outputTokens: usage.completion_tokens ?? null });
+};
+
+/**
+ * Text for providers that cannot see images, noting what was attached.
+ */
+const withAttachmentNote = (text, attachments = []) => {
+  if (attachments.length === 0) return text;
+  return `${text}\n[The user attached ${attachments.length} image(s) that this model cannot see.]`.trim();
+};
+
+/**
+ * Converts chat history into OpenAI-style chat messages (used by Groq and the HuggingFace router).
+ * These backends are text-only here, so images are replaced by a note.
+ */
+const toChatMessages = ({ prompt, attachments, history = [], systemInstruction }) => [
+  ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+  ...history.map(msg => ({
+    role: msg.role === 'ai' ? 'assistant' : 'user',
+    content: withAttachmentNote(msg.text || msg.content || '', msg.attachments)
+  })),
+  { role: 'user', content: withAttachmentNote(prompt, attachments) }
+];
+
+/**
+ * Builds Gemini content parts: the text (if any) followed by inline image data.
+ */
+const toGeminiParts = (text, attachments = []) => [
+  ...(text ? [{ text }] : []),
+  ...attachments.map(attachment => ({
+    inlineData: { mimeType: attachment.mimeType, data: attachment.data }
+  }))
+];
+
+/**
+ * Reads `data:` payloads from a server-sent events response body.
+ */
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+      yield data;
+    }
+  }
+}
+
+/**
+ * Google Gemini, backed by GeminiManager's key rotation.
+ */
+export class GeminiProvider {
+  /**
+   * @param {import('./GeminiManager.js').GeminiManager} manager - Manager holding the Gemini keys.
+   */
+  constructor(manager) {
+    this.id = 'gemini';
+    this.name = 'Gemini';
+    this.manager = manager;
+  }
+
+  _toPrompt({ prompt, attachments = [] }) {
+    return attachments.length > 0 ? toGeminiParts(prompt, attachments) : prompt;
+  }
+
+  _toOptions({ history = [], systemInstruction = null, modelName = null, signal = null, temperature = null, topP = null, maxOutputTokens = null, safetySettings = null, onUsage = null, onFailover = null }) {
+    return {
+      // Gemini uses 'user' and 'model' roles
+      history: history.map(msg => ({
+        role: msg.role === 'ai' ? 'model' : 'user',
+        parts: toGeminiParts(msg.text || msg.content, msg.attachments)
+      })),
+      systemInstruction,
+      modelName,
+      signal,
+      temperature,
+      topP,
+      maxOutputTokens,
+      safetySettings,
+      onUsage: onUsage && ((usage) => usage && onUsage(usage)),
+      onKeyFailure: onFailover && (() => onFailover())
+    };
+  }
+
+  generate(request) {
+    return this.manager.generateResponse(this._toPrompt(request), this._toOptions(request));
+  }
+
+  stream(request) {
+    return this.manager.streamResponse(this._toPrompt(request), {
+      ...this._toOptions(request),
+      onChunk: request.onChunk
+    });
+  }
+
+  health() {
+    const ok = this.manager.hasAvailableKey();
+    return { id: this.id, name: this.name, ok, reason: ok ? null : 'All Gemini keys are disabled or cooling down' };
+  }
+
+  modelFor(request) {
+    return request.modelName || this.manager.modelName;
+  }
+}
+
+/**
+ * HuggingFace inference router (OpenAI-compatible endpoint).
+ * Tries each configured model in order until one answers.
+ */
+export class HuggingFaceProvider {
+  /**
+   * @param {Array<{modelName: string, id: string, apiKey: string}>} models - Models in fallback order.
+   */
+  constructor(models) {
+    this.id = 'huggingface';
+    this.name = 'HuggingFace';
+    this.models = models.filter(model => model.apiKey);
+  }
+
+  async _request(model, request, stream) {
+    const response = await fetch("https://router.huggingface.co/v1/chat/completions", {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${model.apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model: model.id,
+        messages: toChatMessages(request),
+        temperature: request.temperature ?? undefined,
+        top_p: request.topP ?? undefined,
+        max_tokens: request.maxOutputTokens ?? 1024,
+        stream,
+        ...(stream && { stream_options: { include_usage: true } })
+      }),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({}));
+      throw Object.assign(new Error(errData.error?.message || errData.error || `HTTP ${response.status}`), { status: response.status });
+    }
+
+    return response;
+  }
+
+  async _eachModel(request, run) {
+    let lastError = null;
+
+    for (const model of this.models) {
+      try {
+        request.onModel?.(model.modelName);
+        return await run(model);
+      } catch (error) {
+        if (isAbortError(error, request.signal) || error.partial) throw error;
+
+        console.warn(`[HuggingFaceProvider] ${model.modelName} failed.`, `Reason: ${error.message}`);
+        request.onFailover?.();
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error("No HuggingFace models configured.");
+  }
+
+  generate(request) {
+    return this._eachModel(request, async (model) => {
+      const response = await this._request(model, request, false);
+      const data = await response.json();
+      const text = data.choices?.[0]?.message?.content;
+      if (!text) throw new Error("No response generated.");
+      reportChatUsage(request, data.usage);
+      return text;
+    });
+  }
+
+  stream(request) {
+    return this._eachModel(request, async (model) => {
+      const response = await this._request(model, request, true);
+      let text = '';
+
+      try {
+        for await (const data of readServerSentEvents(response)) {
+          const event = JSON.parse(data);
+          // With include_usage the last event has the token counts and no choices
+          reportChatUsage(request, event.usage);
+          const chunkText = event.choices?.[0]?.delta?.content;
+          if (!chunkText) continue;
+
+          text += chunkText;
+          request.onChunk?.(chunkText, text);
+        }
+      } catch (error) {
+        // Never fall through to another model once text has been shown
+        error.partial = text.length > 0;
+        throw error;
+      }
+
+      if (!text) throw new Error("No response generated.");
+      return text;
+    });
+  }
+
+  health() {
+    const ok = this.models.length > 0;
+    return { id: this.id, name: this.name, ok, reason: ok ? null : 'No HuggingFace keys configured' };
+  }
+
+  /**
+   * The first model; the one that actually answers is reported through `onModel`.
+   */
+  modelFor() {
+    return this.models[0]?.modelName;
+  }
+}
+
+/**
+ * Groq chat completions through groq-sdk.
+ */
+export class GroqProvider {
+  /**
+   * @param {string} apiKey - Groq API key.
+   * @param {string} modelName - Groq model id.
+   */
+  constructor(apiKey, modelName = "llama-3.3-70b-versatile") {
+    this.id = 'groq';
+    this.name = 'Groq';
+    this.modelName = modelName;
+    this.client = apiKey ? new Groq({ apiKey }) : null;
+  }
+
+  _params(request) {
+    return {
+      model: this.modelName,
+      messages: toChatMessages(request),
+      temperature: request.temperature ?? undefined,
+      top_p: request.topP ?? undefined,
+      max_tokens: request.maxOutputTokens ?? undefined
+    };
+  }
+
+  async generate(request) {
+    const completion = await this.client.chat.completions.create(this._params(request), { signal: request.signal });
+    const text = completion.choices?.[0]?.message?.content;
+    if (!text) throw new Error("No response generated.");
+    reportChatUsage(request, completion.usage);
+    return text;
+  }
+
+  async stream(request) {
+    const stream = await this.client.chat.completions.create(
+      { ...this._params(request), stream: true },
+      { signal: request.signal }
+    );
+    let text = '';
+
+    for await (const chunk of stream) {
+      // Groq reports token counts on the last chunk
+      reportChatUsage(request, chunk.x_groq?.usage);
+      const chunkText = chunk.choices?.[0]?.delta?.content;
+      if (!chunkText) continue;
+
+      text += chunkText;
+      request.onChunk?.(chunkText, text);
+    }
+
+    if (!text) throw new Error("No response generated.");
+    return text;
+  }
+
+  health() {
+    const ok = Boolean(this.client);
+    return { id: this.id, name: this.name, ok, reason: ok ? null : 'No Groq key configured' };
+  }
+
+  modelFor() {
+    return this.modelName;
+  }
+}
+
+/**
+ * Ordered cross-provider fallback chain.
+ * Providers are tried in order; a provider that fails completely is skipped for a short cooldown.
+ */
+export class ProviderChain {
+  /**
+   * @param {Array} providers - Providers in priority order.
+   */
+  constructor(providers) {
+    this.providers = providers;
+    this.failedUntil = new Map();
+  }
+
+  /**
+   * Health of every provider in the chain, in order.
+   */
+  health() {
+    const now = Date.now();
+    return this.providers.map(provider => {
+      const status = provider.health();
+      const coolingDown = (this.failedUntil.get(provider.id) || 0) > now;
+      return coolingDown && status.ok
+        ? { ...status, ok: false, reason: 'Recently failed, cooling down' }
+        : status;
+    });
+  }
+
+  _candidates() {
+    const now = Date.now();
+    const configured = this.providers.filter(provider => provider.health().ok);
+    const ready = configured.filter(provider => (this.failedUntil.get(provider.id) || 0) <= now);
+    // If everything is cooling down, still try them all rather than failing outright
+    return ready.length > 0 ? ready : configured;
+  }
+
+  async _run(request, method) {
+    const candidates = this._candidates();
+    const errors = [];
+    let receivedText = false;
+    // Keys, models and providers given up on before the reply came
+    let failovers = 0;
+    let usage = null;
+
+    for (const [index, provider] of candidates.entries()) {
+      // Kept per request: providers are shared by every request in flight
+      let modelUsed = provider.modelFor(request);
+      try {
+        const text = await provider[method]({
+          ...request,
+          onChunk: request.onChunk && ((chunk, fullText) => {
+            receivedText = true;
+            request.onChunk(chunk, fullText, { providerName: provider.name, modelUsed });
+          }),
+          onModel: (modelName) => {
+            modelUsed = modelName;
+          },
+          onUsage: (reported) => {
+            usage = reported;
+          },
+          onFailover: () => {
+            failovers += 1;
+          }
+        });
+
+        this.failedUntil.delete(provider.id);
+        return {
+          text,
+          providerId: provider.id,
+          providerName: provider.name,
+          modelUsed,
+          fellBack: index > 0,
+          failovers: failovers + index,
+          usage
+        };
+      } catch (error) {
+        if (isAbortError(error, request.signal)) throw error;
+        if (receivedText) throw toProviderError(error);
+        // Refused prompts stop here, without putting the provider on cooldown for everyone
+        if (isRequestRejected(error)) throw error;
+
+        console.warn(`[ProviderChain] ${provider.name} failed, trying next provider.`, `Reason: ${error.message}`);
+        this.failedUntil.set(provider.id, Date.now() + PROVIDER_COOLDOWN_MS);
+        errors.push(toProviderError(error));
+      }
+    }
+
+    throw new ProviderError(pickErrorCode(errors), `Every provider failed (${errors.map(error => error.code).join(', ') || 'none configured'}).`);
+  }
+
+  /**
+   * Generates a full reply from the first provider that answers.
+   * @param {ProviderRequest} request
+   * @returns {Promise<{text: string, providerId: string, providerName: string, modelUsed: string, fellBack: boolean, failovers: number, usage: TokenUsage|null}>}
+   * @throws {ProviderError} - When every provider failed; its code says why.
+   */
+  generate(request) {
+    return this._run(request, 'generate');
+  }
+
+  /**
+   * Streams a reply from the first provider that answers.
+   * Falls through to the next provider only while no text has been streamed yet.
+   * @param {ProviderRequest} request
+   * @throws {ProviderError} - When every provider failed, or the stream broke after text was sent.
+   */
+  stream(request) {
+    return this._run(request, 'stream');
+  }
+}
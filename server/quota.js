@@ -0,0 +1,276 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+
+/**
+ * @fileoverview Server-side daily message quota.
+ * Usage is counted per device identity so clearing site data or opening a
+ * private window no longer resets the allowance. Counts reset at local midnight.
+ *
+ * The device id is issued by the server in a signed cookie, so a client can't pick
+ * its own. A client that simply drops the cookie gets a fresh device, so every
+ * client IP also has a daily cap shared by all devices behind it.
+ */
+
+const DEVICE_COOKIE = 'ryunex_device';
+const DEVICE_COOKIE_MAX_AGE_S = 400 * 24 * 60 * 60;
+
+// Quota bucket shared by every mode that isn't built in (custom modes only exist in the browser)
+const CUSTOM_MODE_BUCKET = 'custom';
+
+/**
+ * A count from one of the usage maps. Keys come from the client, so inherited
+ * properties such as "constructor" must never be read as counts.
+ */
+const countOf = (counts, key) => (Object.hasOwn(counts, key) ? counts[key] : 0);
+
+/**
+ * Get today's date string (YYYY-MM-DD) for usage tracking
+ */
+const getTodayDateString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const sign = (secret, deviceId) => createHmac('sha256', secret).update(deviceId).digest('base64url');
+
+const isValidSignature = (secret, deviceId, signature) => {
+  const expected = Buffer.from(sign(secret, deviceId));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+};
+
+/**
+ * The address counted for the IP cap. IPv6 clients usually hold a whole /64,
+ * so all of it counts as one address.
+ */
+const toIpBucket = (ip) => {
+  const ipv4 = ip.match(/^(?:::ffff:)?(\d+\.\d+\.\d+\.\d+)$/i);
+  if (ipv4) return ipv4[1];
+
+  const [head, tail = ''] = ip.toLowerCase().split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = [...headGroups, ...Array(Math.max(0, 8 - headGroups.length - tailGroups.length)).fill('0'), ...tailGroups];
+  return `${groups.slice(0, 4).join(':')}::/64`;
+};
+
+/**
+ * The client's address. Behind a reverse proxy the socket address is the proxy's,
+ * so X-Forwarded-For is read instead, but only when the proxy is trusted to set it.
+ */
+const getClientIp = (req, trustProxy) => {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  const ip = forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+  return toIpBucket(ip || 'unknown');
+};
+
+/**
+ * The secret device cookies are signed with: the configured one, or one generated
+ * on first start and kept in `store` so issued cookies survive restarts.
+ *
+ * @param {string|undefined} configured - `config.quota.deviceSecret`
+ * @param {{load: () => Object|null, save: (state: Object) => void}} store
+ * @returns {string}
+ */
+export const loadDeviceSecret = (configured, store) => {
+  if (configured) return configured;
+
+  const saved = store.load()?.secret;
+  if (saved) return saved;
+
+  const secret = randomBytes(32).toString('base64url');
+  store.save({ secret });
+  return secret;
+};
+
+/**
+ * Works out who is calling: the device from its signed cookie and the client IP.
+ * A request without a valid cookie is given a new device, and the cookie is set on `res`.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {{secret: string, trustProxy: boolean}} options
+ * @returns {{deviceId: string, ip: string}}
+ */
+export const identifyCaller = (req, res, { secret, trustProxy }) => {
+  const [deviceId, signature] = (readCookie(req, DEVICE_COOKIE) || '').split('.');
+  if (deviceId && signature && isValidSignature(secret, deviceId, signature)) {
+    return { deviceId, ip: getClientIp(req, trustProxy) };
+  }
+
+  const issued = randomUUID();
+  const secure = req.socket.encrypted || (trustProxy && req.headers['x-forwarded-proto'] === 'https') ? '; Secure' : '';
+  res.setHeader('Set-Cookie', `${DEVICE_COOKIE}=${issued}.${sign(secret, issued)}; Path=/api; Max-Age=${DEVICE_COOKIE_MAX_AGE_S}; HttpOnly; SameSite=Strict${secure}`);
+  return { deviceId: issued, ip: getClientIp(req, trustProxy) };
+};
+
+export class QuotaService {
+  /**
+   * @param {Object} quotaConfig - `config.quota` (tiers, default tier, IP cap, pro devices).
+   * @param {{load: () => Object|null, save: (state: Object) => void}} store - Persists usage between restarts.
+   */
+  constructor(quotaConfig, store) {
+    this.config = quotaConfig;
+    this.store = store;
+
+    const saved = store.load();
+    this.state = saved?.date === getTodayDateString()
+      ? { ips: {}, summaries: {}, ...saved }
+      : this._emptyDay();
+  }
+
+  /**
+   * Counts for a new day. `summaries` counts /api/summarize calls per device and per IP.
+   * @private
+   */
+  _emptyDay() {
+    return { date: getTodayDateString(), devices: {}, ips: {}, summaries: {} };
+  }
+
+  /**
+   * Starts a fresh day when the date has rolled over.
+   * @private
+   */
+  _rollOver() {
+    if (this.state.date !== getTodayDateString()) {
+      this.state = this._emptyDay();
+      this.store.save(this.state);
+    }
+  }
+
+  /**
+   * The bucket a mode is counted in: built-in modes have their own, anything else shares one.
+   * @private
+   */
+  _modeBucket(mode) {
+    return this.config.modes.includes(mode) ? mode : CUSTOM_MODE_BUCKET;
+  }
+
+  _getTier(deviceId) {
+    const tierName = this.config.proDevices.includes(deviceId) ? 'pro' : this.config.defaultTier;
+    return { name: tierName, ...this.config.tiers[tierName] };
+  }
+
+  /**
+   * Usage and remaining allowance for a caller in a mode.
+   * @param {{deviceId: string, ip: string}} caller - From identifyCaller()
+   * @param {string} mode - As sent by the client; unknown modes are counted together
+   * @returns {{date: string, tier: string, mode: string, count: number, limit: number, remaining: number}}
+   */
+  getUsage({ deviceId, ip }, mode) {
+    this._rollOver();
+
+    const tier = this._getTier(deviceId);
+    const usage = countOf(this.state.devices, deviceId) || { total: 0, modes: {} };
+    const bucket = this._modeBucket(mode);
+    const modeLimit = Object.hasOwn(tier.modes, bucket) ? tier.modes[bucket] : undefined;
+    const modeCount = countOf(usage.modes, bucket);
+
+    // The tighter of the daily total, the mode cap and the IP cap wins
+    const usesModeLimit = modeLimit !== undefined && modeLimit - modeCount < tier.daily - usage.total;
+    let count = usesModeLimit ? modeCount : usage.total;
+    let limit = usesModeLimit ? modeLimit : tier.daily;
+
+    // Pro devices are known, so they aren't held back by others sharing their address
+    const ipCount = countOf(this.state.ips, ip);
+    if (tier.name !== 'pro' && this.config.ipDaily - ipCount < limit - count) {
+      count = ipCount;
+      limit = this.config.ipDaily;
+    }
+
+    return {
+      date: this.state.date,
+      tier: tier.name,
+      // The client matches this against its active mode
+      mode: typeof mode === 'string' ? mode : bucket,
+      count,
+      limit,
+      remaining: Math.max(0, limit - count)
+    };
+  }
+
+  /**
+   * Takes one message from the caller's allowance before the reply is generated, so
+   * parallel requests can't all pass the check. Give it back with refund() when no reply
+   * was delivered.
+   *
+   * @returns {Object|null} - Usage after reserving (same shape as getUsage), or null when the limit is reached.
+   */
+  reserve(caller, mode) {
+    if (this.getUsage(caller, mode).remaining <= 0) return null;
+
+    const bucket = this._modeBucket(mode);
+    const usage = countOf(this.state.devices, caller.deviceId) || { total: 0, modes: {} };
+    usage.total += 1;
+    usage.modes[bucket] = countOf(usage.modes, bucket) + 1;
+    this.state.devices[caller.deviceId] = usage;
+    this.state.ips[caller.ip] = countOf(this.state.ips, caller.ip) + 1;
+    this.store.save(this.state);
+
+    return this.getUsage(caller, mode);
+  }
+
+  /**
+   * Returns a message reserved on `date` that got no reply.
+   * Reservations from before midnight are gone with the day's counts.
+   * @returns {Object} - Usage after the refund, same shape as getUsage.
+   */
+  refund(caller, mode, date) {
+    this._rollOver();
+
+    const usage = countOf(this.state.devices, caller.deviceId);
+    if (date === this.state.date && usage) {
+      const bucket = this._modeBucket(mode);
+      usage.total = Math.max(0, usage.total - 1);
+      usage.modes[bucket] = Math.max(0, countOf(usage.modes, bucket) - 1);
+      this.state.ips[caller.ip] = Math.max(0, countOf(this.state.ips, caller.ip) - 1);
+      this.store.save(this.state);
+    }
+
+    return this.getUsage(caller, mode);
+  }
+
+  /**
+   * Takes one conversation summary from the caller's allowance. Summaries are only needed as
+   * chats grow, so a device gets as many a day as it may send messages, and an IP as many as
+   * its cap. They don't use up messages.
+   *
+   * @returns {string|null} - The date to pass to refundSummary(), or null when none are left.
+   */
+  reserveSummary({ deviceId, ip }) {
+    this._rollOver();
+
+    const tier = this._getTier(deviceId);
+    const deviceKey = `device:${deviceId}`;
+    const ipKey = `ip:${ip}`;
+    const { summaries } = this.state;
+    if (countOf(summaries, deviceKey) >= tier.daily) return null;
+    if (tier.name !== 'pro' && countOf(summaries, ipKey) >= this.config.ipDaily) return null;
+
+    summaries[deviceKey] = countOf(summaries, deviceKey) + 1;
+    summaries[ipKey] = countOf(summaries, ipKey) + 1;
+    this.store.save(this.state);
+    return this.state.date;
+  }
+
+  /**
+   * Returns a summary reserved on `date` that failed.
+   */
+  refundSummary({ deviceId, ip }, date) {
+    this._rollOver();
+    if (date !== this.state.date) return;
+
+    const { summaries } = this.state;
+    for (const key of [`device:${deviceId}`, `ip:${ip}`]) {
+      summaries[key] = Math.max(0, countOf(summaries, key) - 1);
+    }
+    this.store.save(this.state);
+  }
+}
@@ -3,59 +3,45 @@ import './App.css';
 import Header from './components/Header';
 import Sidebar from './components/Sidebar';
 import MainChat from './components/MainChat';
-import { getCurrentChatId, getChatHistory, createNewChat } from './utils/storage';
+import { getChatHistory, getChatById, createNewChat } from './utils/storage';
+import { useChatHistory } from './hooks/useChats';
+
+/**
+ * The mode's most recently active chat, or a new one when it has none.
+ * The only place a chat is created without the user asking for one.
+ */
+const findOrCreateChatForMode = (mode) => {
+  const modeChat = getChatHistory().find(chat => chat.mode === mode && !chat.archived);
+  return modeChat || createNewChat(mode);
+};
 
 export default function App() {
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [activeMode, setActiveMode] = useState('Solance');
   const [currentChatId, setCurrentChatId] = useState(null);
+  // Message to scroll to once its chat is open (from search)
+  const [messageTarget, setMessageTarget] = useState(null);
 
-  // Initialize chat on mount
-  useEffect(() => {
-    const initializeChat = () => {
-      const savedChatId = getCurrentChatId();
-      const chats = getChatHistory();
-      
-      // Find a chat for the current mode
-      const modeChat = chats.find(chat => chat.mode === activeMode);
-      
-      if (modeChat) {
-        setCurrentChatId(modeChat.id);
-      } else if (savedChatId) {
-        const savedChat = chats.find(chat => chat.id === Number(savedChatId));
-        if (savedChat && savedChat.mode === activeMode) {
-          setCurrentChatId(savedChat.id);
-        } else {
-          // Create new chat for current mode
-          const newChat = createNewChat(activeMode);
-          setCurrentChatId(newChat.id);
-        }
-      } else {
-        // Create new chat
-        const newChat = createNewChat(activeMode);
-        setCurrentChatId(newChat.id);
-      }
-    };
-
-    initializeChat();
-  }, []);
+  const chats = useChatHistory();
 
-  // When mode changes, find or create a chat for that mode
+  // Open a chat of the mode on first load, and another one when the open chat is deleted
   useEffect(() => {
-    const chats = getChatHistory();
-    const modeChat = chats.find(chat => chat.mode === activeMode);
-    
-    if (modeChat) {
-      setCurrentChatId(modeChat.id);
-    } else {
-      // Create new chat for the new mode
-      const newChat = createNewChat(activeMode);
-      setCurrentChatId(newChat.id);
-    }
-  }, [activeMode]);
+    if (chats.some(chat => chat.id === currentChatId)) return;
+    setCurrentChatId(findOrCreateChatForMode(activeMode).id);
+  }, [chats, currentChatId, activeMode]);
+
+  const handleModeChange = (mode) => {
+    setActiveMode(mode);
+    setCurrentChatId(findOrCreateChatForMode(mode).id);
+  };
 
-  const handleChatChange = (chatId) => {
+  const handleOpenSearchResult = (chatId, messageId) => {
+    const chat = getChatById(chatId);
+    if (!chat) return;
+    setActiveMode(chat.mode);
     setCurrentChatId(chatId);
+    setMessageTarget({ chatId, messageId });
+    setIsSidebarOpen(false);
   };
 
   return (
@@ -66,14 +52,16 @@ export default function App() {
           isSidebarOpen={isSidebarOpen}
           setIsSidebarOpen={setIsSidebarOpen}
           activeMode={activeMode}
-          setActiveMode={setActiveMode}
+          setActiveMode={handleModeChange}
           currentChatId={currentChatId}
-          onChatChange={handleChatChange}
+          onChatChange={setCurrentChatId}
+          onOpenSearchResult={handleOpenSearchResult}
         />
         <MainChat
           activeMode={activeMode}
           currentChatId={currentChatId}
-          onChatChange={handleChatChange}
+          messageTarget={messageTarget}
+          onMessageTargetReached={() => setMessageTarget(null)}
         />
       </div>
     </div>
@@ -0,0 +1,177 @@
+import React, { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { XIcon } from './Icons';
+import { getModeName } from '../utils/modes';
+import { ANALYTICS_RANGES, collectMessageRows, summarizeRows, toCsv } from '../utils/analytics';
+import { downloadFile } from '../utils/chatExport';
+import { useChatHistory } from '../hooks/useChats';
+
+const formatNumber = (value) => (value === null ? '—' : value.toLocaleString());
+const formatSeconds = (ms) => (ms === null ? '—' : `${(ms / 1000).toFixed(1)}s`);
+
+const StatCard = ({ label, value, hint }) => (
+  <div className="p-3 rounded-xl bg-black/30 border border-white/10">
+    <span className="block text-[10px] uppercase tracking-widest text-gray-500">{label}</span>
+    <span className="block text-lg font-semibold text-white mt-1">{value}</span>
+    {hint && <span className="block text-[10px] text-gray-500">{hint}</span>}
+  </div>
+);
+
+/**
+ * Bars for messages sent per day, with the day's errors stacked in red.
+ */
+const DayChart = ({ days }) => {
+  const max = Math.max(1, ...days.map(day => day.sent + day.errors));
+  return (
+    <div>
+      <div className="flex items-end gap-px h-32" role="img" aria-label="Messages sent per day">
+        {days.map((day) => (
+          <div
+            key={day.date}
+            title={`${day.date}: ${day.sent} sent${day.errors ? `, ${day.errors} failed` : ''}${day.tokens ? `, ${day.tokens.toLocaleString()} tokens` : ''}`}
+            className="flex-1 min-w-0 h-full flex flex-col justify-end hover:bg-white/5 rounded-t-sm"
+          >
+            {day.errors > 0 && <div className="bg-red-500/80 rounded-t-sm" style={{ height: `${(day.errors / max) * 100}%` }} />}
+            <div
+              className={`bg-gradient-to-t from-purple-600 to-[#22d3ee] ${day.errors > 0 ? '' : 'rounded-t-sm'}`}
+              style={{ height: `${(day.sent / max) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between mt-1 text-[10px] text-gray-500">
+        <span>{days[0]?.date}</span>
+        <span>{days[days.length - 1]?.date}</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Horizontal bars, one per label.
+ */
+const BarList = ({ items, formatLabel = (label) => label, emptyText }) => {
+  if (items.length === 0) return <p className="text-xs text-gray-500">{emptyText}</p>;
+
+  const max = items[0].count;
+  return (
+    <ul className="space-y-2">
+      {items.map((item) => (
+        <li key={item.label}>
+          <div className="flex justify-between text-xs mb-1">
+            <span className="text-gray-300 truncate">{formatLabel(item.label)}</span>
+            <span className="text-gray-500 shrink-0 ml-2">{item.count.toLocaleString()}</span>
+          </div>
+          <div className="h-1.5 rounded-full bg-gray-800 overflow-hidden">
+            <div className="h-full rounded-full bg-gradient-to-r from-purple-600 to-[#22d3ee]" style={{ width: `${(item.count / max) * 100}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Usage statistics from this device's chats: messages per day and mode, models,
+ * reply latency, errors, failovers and tokens, downloadable as CSV.
+ *
+ * @param {Object} props
+ * @param {() => void} props.onClose
+ */
+export default function AnalyticsDashboard({ onClose }) {
+  const chats = useChatHistory();
+  const [rangeId, setRangeId] = useState('30d');
+
+  const rows = useMemo(() => collectMessageRows(chats, rangeId), [chats, rangeId]);
+  const { totals, perDay, perMode, perModel } = useMemo(() => summarizeRows(rows, rangeId), [rows, rangeId]);
+
+  const handleExportCsv = () => {
+    const range = ANALYTICS_RANGES.find(option => option.id === rangeId);
+    const suffix = range.days === null ? 'all' : `${range.days}d`;
+    downloadFile(`ryunex-usage-${suffix}-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(rows), 'text/csv');
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.96 }}
+        animate={{ opacity: 1, scale: 1 }}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Usage statistics"
+        className="w-full max-w-3xl max-h-[90vh] flex flex-col p-6 rounded-2xl bg-[#0f1424] border border-white/10 shadow-2xl"
+      >
+        <div className="flex items-center justify-between mb-1">
+          <h2 className="text-lg font-semibold text-white">Usage statistics</h2>
+          <button onClick={onClose} aria-label="Close" className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-white/5">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">Worked out from the chats on this device. Nothing is sent anywhere.</p>
+
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <div className="flex gap-1">
+            {ANALYTICS_RANGES.map((range) => (
+              <button
+                key={range.id}
+                onClick={() => setRangeId(range.id)}
+                aria-pressed={rangeId === range.id}
+                className={`px-3 py-1 rounded-lg text-xs border transition-all ${rangeId === range.id
+                  ? 'border-purple-500/60 bg-white/10 text-white'
+                  : 'border-white/10 text-gray-400 hover:bg-white/5'
+                  }`}
+              >
+                {range.label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={handleExportCsv}
+            disabled={rows.length === 0}
+            className="px-3 py-1 rounded-lg text-xs text-gray-300 border border-white/10 hover:bg-white/5 disabled:opacity-40 disabled:cursor-not-allowed transition-all"
+          >
+            Export CSV
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0 overflow-y-auto space-y-5 pr-1">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            <StatCard label="Sent" value={formatNumber(totals.sent)} hint={`${formatNumber(totals.replies)} replies`} />
+            <StatCard
+              label="Avg reply"
+              value={formatSeconds(totals.averageLatencyMs)}
+              hint={totals.averageFirstChunkMs === null ? null : `first words in ${formatSeconds(totals.averageFirstChunkMs)}`}
+            />
+            <StatCard
+              label="Errors"
+              value={formatNumber(totals.errors)}
+              hint={`${formatNumber(totals.failovers)} failovers${totals.limitHits ? `, ${totals.limitHits} at limit` : ''}`}
+            />
+            <StatCard
+              label="Tokens"
+              value={formatNumber(totals.inputTokens + totals.outputTokens)}
+              hint={`${formatNumber(totals.inputTokens)} in / ${formatNumber(totals.outputTokens)} out`}
+            />
+          </div>
+
+          <section>
+            <h3 className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-2">Messages per day</h3>
+            <DayChart days={perDay} />
+          </section>
+
+          <div className="grid sm:grid-cols-2 gap-5">
+            <section>
+              <h3 className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-2">By mode</h3>
+              <BarList items={perMode} formatLabel={getModeName} emptyText="No messages in this period." />
+            </section>
+            <section>
+              <h3 className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-2">Models used</h3>
+              <BarList items={perModel} emptyText="No replies in this period." />
+            </section>
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import React from 'react';
+import { XIcon } from './Icons';
+import { getAttachmentUrl } from '../utils/attachments';
+
+const AttachmentThumbnails = ({ attachments, onRemove, size = 'w-20 h-20' }) => (
+  <div className="flex flex-wrap gap-2">
+    {attachments.map((attachment) => (
+      <div key={attachment.id} className={`relative ${size} rounded-xl overflow-hidden border border-white/10 bg-black/30 group`}>
+        <img
+          src={getAttachmentUrl(attachment)}
+          alt={attachment.name}
+          title={attachment.name}
+          className="w-full h-full object-cover"
+        />
+        {onRemove && (
+          <button
+            onClick={() => onRemove(attachment.id)}
+            aria-label={`Remove ${attachment.name}`}
+            className="absolute top-1 right-1 p-0.5 rounded-full bg-black/70 text-gray-300 hover:text-white opacity-80 group-hover:opacity-100 transition-opacity"
+          >
+            <XIcon className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+    ))}
+  </div>
+);
+
+export default AttachmentThumbnails;
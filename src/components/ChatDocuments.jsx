@@ -0,0 +1,29 @@
+import React from 'react';
+import { BookIcon, XIcon } from './Icons';
+
+const ChatDocuments = ({ documents, onRemove, isProcessing }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    {documents.map((doc) => (
+      <div
+        key={doc.id}
+        title={`${doc.chunks.length} sections indexed`}
+        className="flex items-center gap-1.5 pl-2.5 pr-1.5 py-1 rounded-full bg-yellow-400/10 border border-yellow-400/30 text-yellow-200 text-xs max-w-[220px]"
+      >
+        <BookIcon className="w-3.5 h-3.5 shrink-0" />
+        <span className="truncate">{doc.name}</span>
+        <button
+          onClick={() => onRemove(doc.id)}
+          aria-label={`Remove ${doc.name}`}
+          className="p-0.5 rounded-full text-yellow-200/70 hover:text-white hover:bg-white/10 transition-colors"
+        >
+          <XIcon className="w-3 h-3" />
+        </button>
+      </div>
+    ))}
+    {isProcessing && (
+      <span className="text-xs text-gray-400 animate-pulse">Reading document...</span>
+    )}
+  </div>
+);
+
+export default ChatDocuments;
@@ -0,0 +1,346 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { PinIcon, MoreIcon, FolderIcon, ArchiveIcon } from './Icons';
+import {
+  getChatFolders,
+  createChatFolder,
+  renameChatFolder,
+  deleteChatFolder,
+  renameChat,
+  updateChatPinned,
+  updateChatArchived,
+  updateChatTags,
+  updateChatFolder
+} from '../utils/storage';
+
+// Colour tags a chat can carry; stored by id on the chat
+const CHAT_TAGS = [
+  { id: 'red', label: 'Red', swatch: 'bg-red-500' },
+  { id: 'orange', label: 'Orange', swatch: 'bg-orange-500' },
+  { id: 'yellow', label: 'Yellow', swatch: 'bg-amber-400' },
+  { id: 'green', label: 'Green', swatch: 'bg-emerald-500' },
+  { id: 'blue', label: 'Blue', swatch: 'bg-sky-500' },
+  { id: 'purple', label: 'Purple', swatch: 'bg-purple-500' }
+];
+
+const chatTitle = (chat) => chat.title || `Chat ${new Date(chat.createdAt).toLocaleTimeString()}`;
+
+/**
+ * Single-line text field that saves on Enter or blur and cancels on Escape.
+ */
+const InlineInput = ({ initialValue, placeholder, label, onSave, onCancel }) => {
+  const [value, setValue] = useState(initialValue);
+  // Enter and Escape unmount the field; a trailing blur must not save again
+  const isDoneRef = useRef(false);
+
+  const finish = (callback) => {
+    if (isDoneRef.current) return;
+    isDoneRef.current = true;
+    callback();
+  };
+
+  const save = () => finish(() => (value.trim() ? onSave(value) : onCancel()));
+
+  return (
+    <input
+      autoFocus
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') save();
+        if (e.key === 'Escape') finish(onCancel);
+      }}
+      onBlur={save}
+      placeholder={placeholder}
+      aria-label={label}
+      maxLength={100}
+      className="flex-1 min-w-0 bg-black/40 border border-purple-500/50 rounded-md px-2 py-1 text-sm text-white outline-none"
+    />
+  );
+};
+
+/**
+ * Rename, pin, tag, file and archive actions for one chat, shown under its row.
+ */
+const ChatActions = ({ chat, folders, onRename, onExport, onClose }) => {
+  const tags = chat.tags || [];
+
+  const toggleTag = (tagId) => {
+    updateChatTags(chat.id, tags.includes(tagId) ? tags.filter(tag => tag !== tagId) : [...tags, tagId]);
+  };
+
+  return (
+    <div onClick={(e) => e.stopPropagation()} className="mx-1 mb-1 p-2 rounded-lg bg-black/30 border border-white/10 text-xs text-gray-300">
+      <div className="grid grid-cols-2 gap-1 mb-2">
+        <button onClick={onRename} className="px-2 py-1 rounded-md text-left hover:bg-white/10">Rename</button>
+        <button
+          onClick={() => {
+            updateChatPinned(chat.id, !chat.pinned);
+            onClose();
+          }}
+          className="px-2 py-1 rounded-md text-left hover:bg-white/10"
+        >
+          {chat.pinned ? 'Unpin' : 'Pin to top'}
+        </button>
+        <button
+          onClick={() => {
+            updateChatArchived(chat.id, !chat.archived);
+            onClose();
+          }}
+          className="px-2 py-1 rounded-md text-left hover:bg-white/10"
+        >
+          {chat.archived ? 'Unarchive' : 'Archive'}
+        </button>
+        <button onClick={onExport} className="px-2 py-1 rounded-md text-left hover:bg-white/10">Export</button>
+      </div>
+
+      <div className="flex items-center gap-1.5 mb-2 px-2">
+        {CHAT_TAGS.map((tag) => (
+          <button
+            key={tag.id}
+            onClick={() => toggleTag(tag.id)}
+            aria-label={`${tag.label} tag`}
+            aria-pressed={tags.includes(tag.id)}
+            title={tag.label}
+            className={`w-4 h-4 rounded-full ${tag.swatch} transition-all ${tags.includes(tag.id) ? 'ring-2 ring-white ring-offset-1 ring-offset-[#0b0f1a]' : 'opacity-40 hover:opacity-100'}`}
+          />
+        ))}
+      </div>
+
+      <select
+        value={chat.folderId || ''}
+        onChange={(e) => {
+          updateChatFolder(chat.id, e.target.value || null);
+          onClose();
+        }}
+        aria-label="Folder"
+        className="w-full bg-black/40 border border-white/10 rounded-md px-2 py-1 text-xs text-white outline-none focus:border-purple-500/50"
+      >
+        <option value="">No folder</option>
+        {folders.map((folder) => (
+          <option key={folder.id} value={folder.id}>{folder.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+/**
+ * The Sidebar's chat history for one mode: pinned chats first, then by last activity,
+ * with folder and colour-tag filters and a separate archive view.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.chats - The mode's chats, most recently active first
+ * @param {number|null} props.currentChatId
+ * @param {string} props.modeName
+ * @param {(chatId: number) => void} props.onSelect
+ * @param {(e: Event, chatId: number) => void} props.onDelete
+ * @param {(chatId: number) => void} props.onExport
+ */
+export default function ChatList({ chats, currentChatId, modeName, onSelect, onDelete, onExport }) {
+  const [folders, setFolders] = useState(getChatFolders);
+  const [showArchived, setShowArchived] = useState(false);
+  const [folderFilter, setFolderFilter] = useState(null);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [openMenuId, setOpenMenuId] = useState(null);
+  const [renamingId, setRenamingId] = useState(null);
+  // 'new' while naming a new folder, 'rename' while renaming the selected one
+  const [folderInput, setFolderInput] = useState(null);
+
+  useEffect(() => {
+    const handleFoldersChange = () => setFolders(getChatFolders());
+    window.addEventListener('ryunex-folders', handleFoldersChange);
+    return () => window.removeEventListener('ryunex-folders', handleFoldersChange);
+  }, []);
+
+  // A deleted folder can't stay selected
+  const selectedFolder = folders.find(folder => folder.id === folderFilter) || null;
+  const archivedCount = chats.filter(chat => chat.archived).length;
+
+  const visibleChats = chats
+    .filter(chat => Boolean(chat.archived) === showArchived)
+    .filter(chat => !selectedFolder || chat.folderId === selectedFolder.id)
+    .filter(chat => !tagFilter || chat.tags?.includes(tagFilter))
+    .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)));
+
+  const handleRename = (chatId, title) => {
+    renameChat(chatId, title);
+    setRenamingId(null);
+  };
+
+  const handleFolderSave = (name) => {
+    if (folderInput === 'new') setFolderFilter(createChatFolder(name).id);
+    else renameChatFolder(selectedFolder.id, name);
+    setFolderInput(null);
+  };
+
+  const handleFolderDelete = () => {
+    deleteChatFolder(selectedFolder.id);
+    setFolderFilter(null);
+  };
+
+  const emptyText = showArchived
+    ? 'No archived chats'
+    : selectedFolder || tagFilter
+      ? 'No chats match these filters'
+      : `No chat history for ${modeName} mode`;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3 px-2">
+        <h3 className="text-xs font-bold text-gray-500 uppercase tracking-widest">{showArchived ? 'Archive' : 'History'}</h3>
+        <button
+          onClick={() => {
+            setShowArchived(!showArchived);
+            setOpenMenuId(null);
+          }}
+          aria-pressed={showArchived}
+          title={showArchived ? 'Back to history' : 'Show archived chats'}
+          className={`flex items-center gap-1 text-[10px] transition-colors ${showArchived ? 'text-[#22d3ee]' : 'text-gray-500 hover:text-white'}`}
+        >
+          <ArchiveIcon className="w-3.5 h-3.5" />
+          {archivedCount > 0 && archivedCount}
+        </button>
+      </div>
+
+      {/* Folder filter */}
+      <div className="flex flex-wrap gap-1 mb-2 px-1">
+        <button
+          onClick={() => setFolderFilter(null)}
+          className={`px-2 py-0.5 rounded-full text-[11px] border transition-all ${!selectedFolder ? 'border-purple-500/60 bg-white/10 text-white' : 'border-white/10 text-gray-400 hover:text-white'}`}
+        >
+          All
+        </button>
+        {folders.map((folder) => (
+          <button
+            key={folder.id}
+            onClick={() => setFolderFilter(selectedFolder?.id === folder.id ? null : folder.id)}
+            className={`flex items-center gap-1 max-w-[140px] px-2 py-0.5 rounded-full text-[11px] border transition-all ${selectedFolder?.id === folder.id ? 'border-purple-500/60 bg-white/10 text-white' : 'border-white/10 text-gray-400 hover:text-white'}`}
+          >
+            <FolderIcon className="w-3 h-3 shrink-0" />
+            <span className="truncate">{folder.name}</span>
+          </button>
+        ))}
+        <button
+          onClick={() => setFolderInput('new')}
+          title="New folder"
+          className="px-2 py-0.5 rounded-full text-[11px] border border-dashed border-white/10 text-gray-400 hover:text-white"
+        >
+          + Folder
+        </button>
+      </div>
+
+      {folderInput && (
+        <div className="flex mb-2 px-1">
+          <InlineInput
+            initialValue={folderInput === 'rename' ? selectedFolder.name : ''}
+            placeholder="Folder name"
+            label="Folder name"
+            onSave={handleFolderSave}
+            onCancel={() => setFolderInput(null)}
+          />
+        </div>
+      )}
+
+      {selectedFolder && !folderInput && (
+        <div className="flex gap-3 mb-2 px-2 text-[10px]">
+          <button onClick={() => setFolderInput('rename')} className="text-gray-500 hover:text-white">Rename folder</button>
+          <button onClick={handleFolderDelete} title="Its chats are kept" className="text-gray-500 hover:text-red-400">Delete folder</button>
+        </div>
+      )}
+
+      {/* Tag filter */}
+      <div className="flex items-center gap-1.5 mb-3 px-2">
+        {CHAT_TAGS.map((tag) => (
+          <button
+            key={tag.id}
+            onClick={() => setTagFilter(tagFilter === tag.id ? null : tag.id)}
+            aria-label={`Show ${tag.label.toLowerCase()} chats`}
+            aria-pressed={tagFilter === tag.id}
+            title={`${tag.label} tag`}
+            className={`w-3 h-3 rounded-full ${tag.swatch} transition-all ${tagFilter === tag.id ? 'ring-2 ring-white ring-offset-1 ring-offset-[#0b0f1a]' : 'opacity-30 hover:opacity-100'}`}
+          />
+        ))}
+      </div>
+
+      <div className="space-y-1">
+        {visibleChats.length === 0 ? (
+          <p className="text-xs text-gray-500 px-2">{emptyText}</p>
+        ) : (
+          visibleChats.map((chat) => (
+            <div key={chat.id}>
+              <motion.div
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                whileHover={{ x: 2 }}
+                onClick={() => renamingId !== chat.id && onSelect(chat.id)}
+                onDoubleClick={() => setRenamingId(chat.id)}
+                className={`p-3 rounded-lg cursor-pointer flex justify-between items-center gap-2 group transition-all
+                  ${
+                    chat.id === currentChatId
+                      ? 'bg-white/10 border border-purple-500/50 shadow-[0_0_15px_rgba(147,51,234,0.2)]'
+                      : 'hover:bg-white/5 hover:border-purple-500/30 border border-transparent'
+                  }`}
+              >
+                {renamingId === chat.id ? (
+                  <InlineInput
+                    initialValue={chatTitle(chat)}
+                    label="Chat title"
+                    onSave={(title) => handleRename(chat.id, title)}
+                    onCancel={() => setRenamingId(null)}
+                  />
+                ) : (
+                  <span className="flex items-center gap-1.5 min-w-0">
+                    {chat.pinned && <PinIcon className="w-3 h-3 shrink-0 text-[#22d3ee]" />}
+                    <span className="truncate text-sm text-gray-300">{chatTitle(chat)}</span>
+                    {CHAT_TAGS.filter(tag => chat.tags?.includes(tag.id)).map((tag) => (
+                      <span key={tag.id} title={tag.label} className={`w-2 h-2 rounded-full shrink-0 ${tag.swatch}`} />
+                    ))}
+                  </span>
+                )}
+                {renamingId !== chat.id && (
+                  <div className={`flex items-center shrink-0 transition-opacity ${openMenuId === chat.id ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'}`}>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setOpenMenuId(openMenuId === chat.id ? null : chat.id);
+                      }}
+                      aria-expanded={openMenuId === chat.id}
+                      className="text-gray-400 hover:text-white px-1"
+                      title="Chat options"
+                    >
+                      <MoreIcon className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={(e) => onDelete(e, chat.id)}
+                      className="text-red-400 hover:text-red-500 px-2 text-lg"
+                      title="Delete Chat"
+                    >
+                      ×
+                    </button>
+                  </div>
+                )}
+              </motion.div>
+              {openMenuId === chat.id && (
+                <ChatActions
+                  chat={chat}
+                  folders={folders}
+                  onRename={() => {
+                    setRenamingId(chat.id);
+                    setOpenMenuId(null);
+                  }}
+                  onExport={() => {
+                    setOpenMenuId(null);
+                    onExport(chat.id);
+                  }}
+                  onClose={() => setOpenMenuId(null)}
+                />
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
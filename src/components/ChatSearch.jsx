@@ -0,0 +1,112 @@
+import React, { useState, useMemo, useDeferredValue } from 'react';
+import { XIcon } from './Icons';
+import { getModes, getModeName } from '../utils/modes';
+import { DATE_FILTERS, syncSearchIndex, searchMessages } from '../utils/searchIndex';
+import { useChatHistory } from '../hooks/useChats';
+
+/**
+ * Search box for every chat's messages, with mode and date filters and ranked results.
+ *
+ * @param {Object} props
+ * @param {(chatId: number, messageId: number) => void} props.onOpenResult
+ * @param {(isSearching: boolean) => void} props.onSearchingChange - Whether results are showing
+ */
+export default function ChatSearch({ onOpenResult, onSearchingChange }) {
+  const [query, setQuery] = useState('');
+  const [modeFilter, setModeFilter] = useState('');
+  const [dateFilter, setDateFilter] = useState('any');
+  const chats = useChatHistory();
+  const deferredQuery = useDeferredValue(query);
+  const isSearching = query.trim().length > 0;
+
+  const results = useMemo(() => {
+    if (!deferredQuery.trim()) return [];
+    syncSearchIndex(chats);
+    return searchMessages(deferredQuery, { mode: modeFilter || null, date: dateFilter });
+  }, [chats, deferredQuery, modeFilter, dateFilter]);
+
+  const updateQuery = (value) => {
+    setQuery(value);
+    onSearchingChange(value.trim().length > 0);
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="relative">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => updateQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && updateQuery('')}
+          placeholder="Search all chats..."
+          aria-label="Search all chats"
+          className="w-full bg-black/40 border border-white/10 rounded-lg pl-3 pr-8 py-2 text-sm text-white placeholder-gray-500 outline-none focus:border-purple-500/50 [&::-webkit-search-cancel-button]:hidden"
+        />
+        {isSearching && (
+          <button
+            onClick={() => updateQuery('')}
+            aria-label="Clear search"
+            className="absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded-full text-gray-400 hover:text-white"
+          >
+            <XIcon className="w-3.5 h-3.5" />
+          </button>
+        )}
+      </div>
+
+      {isSearching && (
+        <>
+          <div className="flex gap-2 mt-2">
+            <select
+              value={modeFilter}
+              onChange={(e) => setModeFilter(e.target.value)}
+              aria-label="Filter by mode"
+              className="flex-1 min-w-0 bg-black/40 border border-white/10 rounded-lg px-2 py-1 text-xs text-white outline-none focus:border-purple-500/50"
+            >
+              <option value="">All modes</option>
+              {getModes().map((mode) => (
+                <option key={mode.id} value={mode.id}>{mode.name}</option>
+              ))}
+            </select>
+            <select
+              value={dateFilter}
+              onChange={(e) => setDateFilter(e.target.value)}
+              aria-label="Filter by date"
+              className="flex-1 min-w-0 bg-black/40 border border-white/10 rounded-lg px-2 py-1 text-xs text-white outline-none focus:border-purple-500/50"
+            >
+              {DATE_FILTERS.map((filter) => (
+                <option key={filter.id} value={filter.id}>{filter.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="mt-3 space-y-1" aria-live="polite">
+            {results.length === 0 ? (
+              <p className="text-xs text-gray-500 px-2">No messages match.</p>
+            ) : (
+              results.map((result) => (
+                <button
+                  key={`${result.chatId}:${result.messageId}`}
+                  onClick={() => onOpenResult(result.chatId, result.messageId)}
+                  className="w-full text-left p-2 rounded-lg hover:bg-white/5 border border-transparent hover:border-purple-500/30 transition-all"
+                >
+                  <span className="flex justify-between gap-2 text-[10px] text-gray-500 mb-0.5">
+                    <span className="truncate">{result.chatTitle || 'Untitled chat'}</span>
+                    <span className="shrink-0">{getModeName(result.mode)}</span>
+                  </span>
+                  <span className="block text-xs text-gray-300 line-clamp-3 break-words">
+                    <span className="text-gray-500">{result.role === 'user' ? 'You: ' : 'AI: '}</span>
+                    {result.snippet.map((part, index) => (part.match
+                      ? <mark key={index} className="bg-[#22d3ee]/25 text-white rounded-sm">{part.text}</mark>
+                      : <React.Fragment key={index}>{part.text}</React.Fragment>
+                    ))}
+                  </span>
+                  <span className="block text-[10px] text-gray-600 mt-0.5">{new Date(result.timestamp).toLocaleDateString()}</span>
+                </button>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useState, useMemo } from 'react';
+import hljs from 'highlight.js/lib/common';
+import 'highlight.js/styles/atom-one-dark.css';
+import { CopyIcon, CheckIcon, PlayIcon, SparklesIcon } from './Icons';
+import { runCode, isRunnableLanguage } from '../utils/codeRunner';
+
+// Fence names models commonly use that highlight.js knows under another name
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  'c++': 'cpp',
+  'c#': 'csharp',
+  cs: 'csharp',
+  html: 'xml',
+  vue: 'xml',
+  yml: 'yaml',
+  md: 'markdown'
+};
+
+/**
+ * Highlights code, returning escaped HTML. Unknown languages are auto-detected.
+ */
+const highlight = (code, language) => {
+  const name = LANGUAGE_ALIASES[language] || language;
+  try {
+    if (name && hljs.getLanguage(name)) {
+      return hljs.highlight(code, { language: name, ignoreIllegals: true }).value;
+    }
+    return hljs.highlightAuto(code).value;
+  } catch {
+    // highlight.js escapes its input, this is the only other path that reaches innerHTML
+    return code.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+};
+
+const LOG_COLORS = {
+  warn: 'text-yellow-300',
+  error: 'text-red-300',
+  debug: 'text-gray-500'
+};
+
+/**
+ * Fenced code block with syntax highlighting, a language label and a copy button.
+ * With `canRun`, JavaScript and TypeScript blocks also get a Run button that shows the output below.
+ *
+ * @param {Object} props
+ * @param {string} props.code
+ * @param {string} props.language - Fence language, lowercased
+ * @param {boolean} [props.canRun] - Offer Run for runnable languages
+ * @param {(code: string, language: string, error: string) => void} [props.onAskAboutError] - Sends a failed run back to Ryunex
+ */
+export default function CodeBlock({ code, language, canRun = false, onAskAboutError }) {
+  const [copied, setCopied] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+  const [runResult, setRunResult] = useState(null);
+  const html = useMemo(() => highlight(code, language), [code, language]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Copy failed:', error);
+    }
+  };
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setRunResult(await runCode(code, language));
+    setIsRunning(false);
+  };
+
+  const isRunnable = canRun && isRunnableLanguage(language);
+
+  return (
+    <div className="my-3 rounded-xl overflow-hidden border border-white/10 bg-[#0d1117]">
+      <div className="flex items-center justify-between px-3 py-1.5 bg-white/5 border-b border-white/10">
+        <span className="text-[11px] font-mono uppercase tracking-wide text-gray-400">{language || 'code'}</span>
+        <div className="flex items-center gap-3">
+          {isRunnable && (
+            <button
+              onClick={handleRun}
+              disabled={isRunning}
+              aria-label="Run code"
+              className="flex items-center gap-1 text-[11px] text-green-400 hover:text-green-300 transition-colors disabled:opacity-50"
+            >
+              <PlayIcon className="w-3 h-3" />
+              {isRunning ? 'Running...' : 'Run'}
+            </button>
+          )}
+          <button
+            onClick={handleCopy}
+            aria-label="Copy code"
+            className="flex items-center gap-1 text-[11px] text-gray-400 hover:text-white transition-colors"
+          >
+            {copied ? <CheckIcon className="w-3.5 h-3.5 text-green-400" /> : <CopyIcon className="w-3.5 h-3.5" />}
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+      </div>
+      <pre className="overflow-x-auto p-3 text-[13px] leading-relaxed">
+        <code className="hljs font-mono bg-transparent! p-0!" dangerouslySetInnerHTML={{ __html: html }} />
+      </pre>
+      {runResult && (
+        <div className="border-t border-white/10 bg-black/40 px-3 py-2 text-[12px] font-mono">
+          <div className="flex items-center justify-between mb-1 text-[10px] uppercase tracking-wide text-gray-500">
+            <span>Output • {runResult.durationMs} ms</span>
+            <button onClick={() => setRunResult(null)} className="hover:text-white transition-colors">Clear</button>
+          </div>
+          {runResult.logs.length === 0 && !runResult.error && (
+            <p className="text-gray-500 italic">No output</p>
+          )}
+          {runResult.logs.map((log, index) => (
+            <pre key={index} className={`whitespace-pre-wrap break-words ${LOG_COLORS[log.level] || 'text-gray-200'}`}>{log.text}</pre>
+          ))}
+          {runResult.error && (
+            <div className="mt-1">
+              <pre className="whitespace-pre-wrap break-words text-red-400">{runResult.error}</pre>
+              {onAskAboutError && (
+                <button
+                  onClick={() => onAskAboutError(code, language, runResult.error)}
+                  className="mt-2 flex items-center gap-1.5 px-2.5 py-1 rounded-full font-sans text-[11px] text-[#22d3ee] border border-[#22d3ee]/30 hover:bg-[#22d3ee]/10 transition-colors"
+                >
+                  <SparklesIcon className="w-3 h-3" />
+                  Ask Ryunex about this error
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
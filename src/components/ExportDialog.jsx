@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { XIcon } from './Icons';
+import { getModeName } from '../utils/modes';
+import { getChatHistory, getCustomModes } from '../utils/storage';
+import { EXPORT_FORMATS, exportChats, getExportFileName, downloadFile } from '../utils/chatExport';
+
+/**
+ * Pick chats and a format, then download them.
+ *
+ * @param {Object} props
+ * @param {Array<number>} props.initialSelection - Chat ids ticked when the dialog opens
+ * @param {() => void} props.onClose
+ */
+export default function ExportDialog({ initialSelection, onClose }) {
+  const [chats] = useState(getChatHistory);
+  const [selected, setSelected] = useState(() => new Set(initialSelection));
+  const [formatId, setFormatId] = useState('json');
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const allSelected = chats.length > 0 && selected.size === chats.length;
+
+  const toggleChat = (chatId) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(chatId)) next.delete(chatId);
+      else next.add(chatId);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(chats.map(chat => chat.id)));
+  };
+
+  const handleExport = async () => {
+    const chosen = chats.filter(chat => selected.has(chat.id));
+    const format = EXPORT_FORMATS.find(option => option.id === formatId);
+    setIsExporting(true);
+    setError(null);
+    try {
+      const content = await exportChats(chosen, formatId, getCustomModes());
+      downloadFile(getExportFileName(chosen, formatId), content, format.mimeType);
+      onClose();
+    } catch (exportError) {
+      console.error('Export failed:', exportError);
+      setError('Could not create the export. Please try again.');
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.96 }}
+        animate={{ opacity: 1, scale: 1 }}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Export chats"
+        className="w-full max-w-lg max-h-[90vh] flex flex-col p-6 rounded-2xl bg-[#0f1424] border border-white/10 shadow-2xl"
+      >
+        <div className="flex items-center justify-between mb-5">
+          <h2 className="text-lg font-semibold text-white">Export chats</h2>
+          <button onClick={onClose} aria-label="Close" className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-white/5">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-xs text-gray-400">{selected.size} of {chats.length} selected</span>
+          <button onClick={toggleAll} disabled={chats.length === 0} className="text-xs text-[#22d3ee] hover:underline disabled:opacity-40">
+            {allSelected ? 'Select none' : 'Select all'}
+          </button>
+        </div>
+        <div className="flex-1 min-h-0 max-h-64 overflow-y-auto mb-5 rounded-lg border border-white/10 divide-y divide-white/5">
+          {chats.length === 0 ? (
+            <p className="p-3 text-xs text-gray-500">No chats yet.</p>
+          ) : (
+            chats.map((chat) => (
+              <label key={chat.id} className="flex items-center gap-3 px-3 py-2 cursor-pointer hover:bg-white/5">
+                <input
+                  type="checkbox"
+                  checked={selected.has(chat.id)}
+                  onChange={() => toggleChat(chat.id)}
+                  className="accent-purple-500"
+                />
+                <span className="flex-1 truncate text-sm text-gray-300">
+                  {chat.title || `Chat ${new Date(chat.createdAt).toLocaleTimeString()}`}
+                </span>
+                <span className="text-[10px] text-gray-500 shrink-0">{getModeName(chat.mode)}</span>
+              </label>
+            ))
+          )}
+        </div>
+
+        <span className="block text-xs text-gray-400 mb-1">Format</span>
+        <div className="grid grid-cols-3 gap-2 mb-5">
+          {EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.id}
+              onClick={() => setFormatId(format.id)}
+              aria-pressed={formatId === format.id}
+              className={`p-2 rounded-lg border text-left transition-all ${formatId === format.id
+                ? 'border-purple-500/60 bg-white/10'
+                : 'border-white/10 hover:bg-white/5'
+                }`}
+            >
+              <span className="block text-sm text-white">{format.label}</span>
+              <span className="block text-[10px] text-gray-500">{format.description}</span>
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="mb-4 text-sm text-red-400">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm text-gray-300 hover:bg-white/5 transition-colors">
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={selected.size === 0 || isExporting}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-gradient-to-r from-purple-600 to-[#22d3ee] text-white shadow-lg hover:shadow-xl disabled:opacity-40 disabled:cursor-not-allowed transition-all"
+          >
+            {isExporting ? 'Exporting...' : 'Export'}
+          </button>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
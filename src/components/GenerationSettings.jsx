@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { XIcon } from './Icons';
+import { fetchModelOptions, MODEL_OPTIONS } from '../utils/api';
+import {
+  DEFAULT_GENERATION_SETTINGS,
+  SAFETY_CATEGORIES,
+  SAFETY_THRESHOLDS,
+  MAX_OUTPUT_TOKEN_PRESETS,
+  normalizeGenerationSettings
+} from '../utils/generationSettings';
+import { RESPONSE_LANGUAGES, getResponseLanguage } from '../utils/languages';
+
+/**
+ * Slider that shows the mode's value until the chat sets its own.
+ */
+const OptionalSlider = ({ id, label, value, defaultValue, min, max, step, onChange }) => (
+  <div className="mb-4">
+    <label className="flex justify-between text-xs text-gray-400 mb-1" htmlFor={id}>
+      <span>{label}</span>
+      <span>
+        {value === null ? `Default (${defaultValue})` : value}
+        {value !== null && (
+          <button onClick={() => onChange(null)} className="ml-2 text-[#22d3ee] hover:underline">Reset</button>
+        )}
+      </span>
+    </label>
+    <input
+      id={id}
+      type="range"
+      min={min}
+      max={max}
+      step={step}
+      value={value ?? defaultValue}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className={`w-full accent-[#22d3ee] ${value === null ? 'opacity-50' : ''}`}
+    />
+  </div>
+);
+
+/**
+ * Drawer with the current chat's settings: reply language, model, temperature, top-p,
+ * reply length and safety thresholds. Every change is handed to the callbacks right away.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.settings - The chat's stored settings, null for defaults
+ * @param {{model: string, temperature: number}} props.modeDefaults - What the mode uses when nothing is set
+ * @param {(settings: Object|null) => void} props.onChange
+ * @param {string|null} props.language - The chat's reply language, null to follow the default
+ * @param {string} props.defaultLanguage - Reply language for every chat without its own
+ * @param {(language: string|null) => void} props.onLanguageChange
+ * @param {(language: string) => void} props.onDefaultLanguageChange
+ * @param {() => void} props.onClose
+ */
+export default function GenerationSettings({
+  settings,
+  modeDefaults,
+  onChange,
+  language,
+  defaultLanguage,
+  onLanguageChange,
+  onDefaultLanguageChange,
+  onClose
+}) {
+  const [options, setOptions] = useState({ models: MODEL_OPTIONS, maxOutputTokens: 8192 });
+  const current = { ...DEFAULT_GENERATION_SETTINGS, ...settings };
+
+  useEffect(() => {
+    let isMounted = true;
+    fetchModelOptions().then((result) => {
+      if (isMounted) setOptions(result);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const update = (changes) => onChange(normalizeGenerationSettings({ ...current, ...changes }));
+
+  const updateSafety = (category, threshold) => {
+    const safety = { ...current.safety };
+    if (threshold) safety[category] = threshold;
+    else delete safety[category];
+    update({ safety });
+  };
+
+  const tokenPresets = MAX_OUTPUT_TOKEN_PRESETS.filter(preset => preset <= options.maxOutputTokens);
+
+  return (
+    <>
+      <div className="fixed inset-0 z-[55] bg-black/40" onClick={onClose} />
+      <motion.aside
+        initial={{ x: '100%' }}
+        animate={{ x: 0 }}
+        exit={{ x: '100%' }}
+        transition={{ type: 'tween', duration: 0.2 }}
+        role="dialog"
+        aria-label="Chat settings"
+        className="fixed top-0 right-0 z-[60] h-full w-80 max-w-full overflow-y-auto p-5 bg-[#0f1424]/95 backdrop-blur-xl border-l border-white/10 shadow-2xl"
+      >
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-sm font-semibold text-white">Chat settings</h3>
+          <button onClick={onClose} aria-label="Close chat settings" className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-white/5">
+            <XIcon className="w-4 h-4" />
+          </button>
+        </div>
+        <p className="text-[11px] text-gray-500 mb-5">Everything here applies to this chat only, except the default language.</p>
+
+        <label className="block text-xs text-gray-400 mb-1" htmlFor="chat-language">Reply language</label>
+        <select
+          id="chat-language"
+          value={language || ''}
+          onChange={(e) => onLanguageChange(e.target.value || null)}
+          className="w-full mb-3 bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:border-[#22d3ee]/50"
+        >
+          <option value="">Default ({getResponseLanguage(defaultLanguage).label})</option>
+          {RESPONSE_LANGUAGES.map((option) => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+
+        <label className="block text-xs text-gray-400 mb-1" htmlFor="default-language">Default for all chats</label>
+        <select
+          id="default-language"
+          value={defaultLanguage}
+          onChange={(e) => onDefaultLanguageChange(e.target.value)}
+          className="w-full mb-5 bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:border-[#22d3ee]/50"
+        >
+          {RESPONSE_LANGUAGES.map((option) => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+
+        <label className="block text-xs text-gray-400 mb-1" htmlFor="generation-model">Model</label>
+        <select
+          id="generation-model"
+          value={current.model || ''}
+          onChange={(e) => update({ model: e.target.value || null })}
+          className="w-full mb-4 bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:border-[#22d3ee]/50"
+        >
+          <option value="">Mode default ({modeDefaults.model})</option>
+          {options.models.map((model) => (
+            <option key={model} value={model}>{model}</option>
+          ))}
+        </select>
+
+        <OptionalSlider
+          id="generation-temperature"
+          label="Temperature"
+          value={current.temperature}
+          defaultValue={modeDefaults.temperature}
+          min="0"
+          max="2"
+          step="0.1"
+          onChange={(temperature) => update({ temperature })}
+        />
+
+        <OptionalSlider
+          id="generation-top-p"
+          label="Top-p"
+          value={current.topP}
+          defaultValue={0.95}
+          min="0"
+          max="1"
+          step="0.05"
+          onChange={(topP) => update({ topP })}
+        />
+
+        <label className="block text-xs text-gray-400 mb-1" htmlFor="generation-max-tokens">Max reply length</label>
+        <select
+          id="generation-max-tokens"
+          value={current.maxOutputTokens || ''}
+          onChange={(e) => update({ maxOutputTokens: e.target.value ? Number(e.target.value) : null })}
+          className="w-full mb-5 bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:border-[#22d3ee]/50"
+        >
+          <option value="">Model default</option>
+          {tokenPresets.map((preset) => (
+            <option key={preset} value={preset}>{preset} tokens</option>
+          ))}
+        </select>
+
+        <h4 className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-3">Safety filters</h4>
+        {SAFETY_CATEGORIES.map((category) => (
+          <div key={category.id} className="flex items-center justify-between gap-3 mb-2">
+            <label className="text-xs text-gray-400" htmlFor={`safety-${category.id}`}>{category.label}</label>
+            <select
+              id={`safety-${category.id}`}
+              value={current.safety[category.id] || ''}
+              onChange={(e) => updateSafety(category.id, e.target.value || null)}
+              className="bg-black/40 border border-white/10 rounded-lg px-2 py-1 text-xs text-white outline-none focus:border-[#22d3ee]/50"
+            >
+              <option value="">Default</option>
+              {SAFETY_THRESHOLDS.map((threshold) => (
+                <option key={threshold.id} value={threshold.id}>{threshold.label}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+        <p className="text-[11px] text-gray-500 mt-2 mb-5">Safety filters apply to Gemini; backup providers use their own.</p>
+
+        <button
+          onClick={() => onChange(null)}
+          disabled={!settings}
+          title="Resets model, sampling, length and safety; the reply language stays"
+          className="w-full py-2 rounded-lg text-sm text-gray-300 border border-white/10 hover:bg-white/5 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          Reset to defaults
+        </button>
+      </motion.aside>
+    </>
+  );
+}
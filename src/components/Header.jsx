@@ -1,7 +1,61 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { MenuIcon, XIcon, SparklesIcon } from './Icons';
+import { fetchServiceHealth } from '../utils/api';
+import { getMode, getModeStyles } from '../utils/modes';
+
+const STATUS_STYLES = {
+  Online: 'bg-green-500 shadow-[0_0_8px_rgba(34,199,89,0.6)]',
+  Degraded: 'bg-yellow-400 shadow-[0_0_8px_rgba(250,204,21,0.6)]',
+  Offline: 'bg-red-500 shadow-[0_0_8px_rgba(239,68,68,0.6)]'
+};
+
+/**
+ * Summarises key and provider health into a single status label.
+ */
+const getStatus = (health) => {
+  if (!health || !health.providers.some(provider => provider.ok)) return 'Offline';
+
+  const allKeysHealthy = health.keys.length > 0 && health.keys.every(key => key.status === 'healthy');
+  return allKeysHealthy ? 'Online' : 'Degraded';
+};
+
+const describeKey = (key) => {
+  if (key.status === 'cooling') {
+    const seconds = Math.max(0, Math.ceil((key.cooldownUntil - Date.now()) / 1000));
+    return `${key.key}: cooling down (${seconds}s)`;
+  }
+  return `${key.key}: ${key.status}`;
+};
 
 export default function Header({ isSidebarOpen, setIsSidebarOpen, activeMode }) {
+  const [health, setHealth] = useState(null);
+  const [mode, setMode] = useState(() => getMode(activeMode));
+
+  // A custom mode can be renamed or recoloured while it is active
+  useEffect(() => {
+    const refresh = () => setMode(getMode(activeMode));
+    refresh();
+    window.addEventListener('ryunex-modes', refresh);
+    return () => window.removeEventListener('ryunex-modes', refresh);
+  }, [activeMode]);
+
+  // Follow key health changes, and re-check periodically since cooldowns expire on their own
+  useEffect(() => {
+    const refresh = async () => setHealth(await fetchServiceHealth());
+
+    refresh();
+
+    window.addEventListener('ryunex-key-health', refresh);
+    const interval = setInterval(refresh, 30000);
+
+    return () => {
+      window.removeEventListener('ryunex-key-health', refresh);
+      clearInterval(interval);
+    };
+  }, []);
+
+  const status = getStatus(health);
+
   return (
     <header className="sticky top-0 z-50 w-full h-16 bg-[#0b0f1a]/80 backdrop-blur-xl border-b border-white/10 flex items-center justify-between px-4 md:px-6 transition-all duration-300">
 
@@ -27,14 +81,17 @@ export default function Header({ isSidebarOpen, setIsSidebarOpen, activeMode })
       {/* Center: Mode Indicator */}
       <div className="hidden md:flex items-center px-4 py-1.5 rounded-full bg-purple-900/20 border border-purple-500/30 shadow-[0_0_10px_rgba(147,51,234,0.1)]">
         <SparklesIcon className="w-3.5 h-3.5 text-[#22d3ee] mr-2 animate-pulse" />
-        <span className="text-xs font-medium text-purple-100">Mode: <span className="text-[#22d3ee]">{activeMode}</span></span>
+        <span className="text-xs font-medium text-purple-100">Mode: <span className={getModeStyles(activeMode).accent}>{mode?.name || activeMode}</span></span>
       </div>
 
       {/* Right: Status */}
       <div className="flex items-center gap-4">
-        <div className="flex items-center gap-2 px-3 py-1 rounded-lg bg-white/5 border border-white/5 hover:border-white/20 transition-all group cursor-default">
-          <div className="w-2 h-2 rounded-full bg-green-500 shadow-[0_0_8px_rgba(34,199,89,0.6)] group-hover:scale-110 transition-transform"></div>
-          <span className="text-xs text-gray-400 group-hover:text-gray-200 transition-colors">Online</span>
+        <div
+          className="flex items-center gap-2 px-3 py-1 rounded-lg bg-white/5 border border-white/5 hover:border-white/20 transition-all group cursor-default"
+          title={health ? health.keys.map(describeKey).join('\n') : 'API server unreachable'}
+        >
+          <div className={`w-2 h-2 rounded-full ${STATUS_STYLES[status]} group-hover:scale-110 transition-transform`}></div>
+          <span className="text-xs text-gray-400 group-hover:text-gray-200 transition-colors">{status}</span>
         </div>
 
         {/* Window Icons (Visual) */}
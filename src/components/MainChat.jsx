@@ -1,131 +1,643 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { BrainIcon, SparklesIcon, MicIcon, SendIcon } from './Icons';
-import { callGeminiAPI } from '../utils/api';
 import {
-  createNewChat,
+  BrainIcon,
+  SparklesIcon,
+  SendIcon,
+  StopIcon,
+  ImageIcon,
+  BookIcon,
+  SpeakerIcon,
+  PauseIcon,
+  PlayIcon,
+  SlidersIcon,
+  PencilIcon,
+  RefreshIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon
+} from './Icons';
+import AttachmentThumbnails from './AttachmentThumbnails';
+import ChatDocuments from './ChatDocuments';
+import VoiceInputButton from './VoiceInputButton';
+import SpeechSettings from './SpeechSettings';
+import GenerationSettings from './GenerationSettings';
+import MarkdownMessage from './MarkdownMessage';
+import { callGeminiAPI, fetchDailyUsage, getModeGenerationDefaults } from '../utils/api';
+import { getMessageError } from '../utils/errors';
+import { describeGenerationSettings } from '../utils/generationSettings';
+import { getResponseLanguage } from '../utils/languages';
+import { prepareImageAttachment, isImageFile, MAX_ATTACHMENTS_PER_MESSAGE } from '../utils/attachments';
+import {
+  speakText,
+  pauseSpeech,
+  resumeSpeech,
+  stopSpeech,
+  getSpeechSettings,
+  isSpeechSynthesisSupported
+} from '../utils/speechSynthesis';
+import { prepareDocument, isDocumentFile, DOCUMENT_ACCEPT, MAX_DOCUMENTS_PER_CHAT } from '../utils/documents';
+import { getThread, getSiblings, getLatestLeaf } from '../utils/messageTree';
+import { DELIVERY_STATUS, queueMessage, retryMessage, editQueuedMessage, cancelQueuedMessage } from '../utils/outbox';
+import {
   updateChatMessages,
+  updateChatSummary,
+  updateChatDocuments,
+  updateChatGenerationSettings,
+  updateChatResponseLanguage,
+  updateChatActiveLeaf,
   getChatById,
+  getPreferences,
+  savePreferences,
   getDailyUsage,
-  incrementDailyUsage,
   isDailyLimitReached
 } from '../utils/storage';
+import { getMode, getModeStyles } from '../utils/modes';
+import { useChat } from '../hooks/useChats';
 
-export default function MainChat({ activeMode, currentChatId, onChatChange }) {
+/**
+ * "< 2/3 >" control for messages that were edited or regenerated.
+ */
+const VersionSwitcher = ({ index, count, disabled, onSelect }) => (
+  <div className="flex items-center text-[10px] text-gray-500">
+    <button
+      onClick={() => onSelect(-1)}
+      disabled={disabled || index === 0}
+      aria-label="Previous version"
+      className="p-0.5 rounded hover:text-white disabled:opacity-30 disabled:hover:text-gray-500"
+    >
+      <ChevronLeftIcon className="w-3 h-3" />
+    </button>
+    <span className="tabular-nums">{index + 1}/{count}</span>
+    <button
+      onClick={() => onSelect(1)}
+      disabled={disabled || index === count - 1}
+      aria-label="Next version"
+      className="p-0.5 rounded hover:text-white disabled:opacity-30 disabled:hover:text-gray-500"
+    >
+      <ChevronRightIcon className="w-3 h-3" />
+    </button>
+  </div>
+);
+
+export default function MainChat({ activeMode, currentChatId, messageTarget, onMessageTargetReached }) {
+  // Every message of the chat, all branches; `thread` is the branch on screen (see utils/messageTree.js)
   const [messages, setMessages] = useState([]);
+  const [activeLeafId, setActiveLeafId] = useState(null);
+  const thread = useMemo(() => getThread(messages, activeLeafId), [messages, activeLeafId]);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
   const [inputValue, setInputValue] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  const [streamingText, setStreamingText] = useState('');
   const [notification, setNotification] = useState(null);
   const [dailyUsage, setDailyUsage] = useState(getDailyUsage());
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [documents, setDocuments] = useState([]);
+  const [isReadingDocument, setIsReadingDocument] = useState(false);
+  const [isListening, setIsListening] = useState(false);
+  const [speakingMessageId, setSpeakingMessageId] = useState(null);
+  const [isSpeechPaused, setIsSpeechPaused] = useState(false);
+  const [showSpeechSettings, setShowSpeechSettings] = useState(false);
+  const [generationSettings, setGenerationSettings] = useState(null);
+  const [showGenerationSettings, setShowGenerationSettings] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  // Reply language: the chat's own choice, else the global preference
+  const [chatLanguage, setChatLanguage] = useState(null);
+  const [defaultLanguage, setDefaultLanguage] = useState(() => getPreferences().responseLanguage);
+  const responseLanguage = chatLanguage || defaultLanguage;
+  const [mode, setMode] = useState(() => getMode(activeMode));
   const messagesEndRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const documentInputRef = useRef(null);
+  const scrollContainerRef = useRef(null);
+  const isNearBottomRef = useRef(true);
   const abortControllerRef = useRef(null);
+  const chatIdRef = useRef(currentChatId);
 
-  // Load chat when currentChatId or activeMode changes
+  const showNotification = (message) => {
+    setNotification(message);
+    setTimeout(() => setNotification(null), 5000);
+  };
+
+  // Custom modes can be renamed or recoloured while open
   useEffect(() => {
-    if (currentChatId) {
-      const chat = getChatById(currentChatId);
-      if (chat && chat.mode === activeMode) {
-        setMessages(chat.messages || []);
-      } else {
-        // Mode changed or chat not found - create new chat
-        const newChat = createNewChat(activeMode);
-        setMessages([]);
-        if (onChatChange) onChatChange(newChat.id);
-      }
-    } else {
-      // No current chat - create new one
-      const newChat = createNewChat(activeMode);
-      setMessages([]);
-      if (onChatChange) onChatChange(newChat.id);
+    const refresh = () => setMode(getMode(activeMode));
+    refresh();
+    window.addEventListener('ryunex-modes', refresh);
+    return () => window.removeEventListener('ryunex-modes', refresh);
+  }, [activeMode]);
+
+  const chat = useChat(currentChatId);
+
+  useEffect(() => {
+    chatIdRef.current = currentChatId;
+
+    // A reply still streaming belongs to the previous chat; stop it so its partial text is saved there
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
     }
-  }, [currentChatId, activeMode]);
+    stopSpeech();
+    setEditingMessageId(null);
+  }, [currentChatId]);
 
-  // Update daily usage on mount and check for midnight reset
+  // Show the chat as stored, including changes made in the Sidebar or another tab
   useEffect(() => {
-    const updateUsage = () => {
-      const usage = getDailyUsage();
-      setDailyUsage(usage);
-    };
+    setMessages(chat?.messages || []);
+    setActiveLeafId(chat?.activeLeafId ?? null);
+    setDocuments(chat?.documents || []);
+    setGenerationSettings(chat?.generationSettings || null);
+    setChatLanguage(chat?.responseLanguage || null);
+  }, [chat]);
 
-    updateUsage();
+  // Ask the server for this mode's allowance, and re-check every minute for the midnight reset
+  useEffect(() => {
+    const refreshUsage = () => fetchDailyUsage(activeMode);
 
-    // Check every minute for midnight reset
-    const interval = setInterval(updateUsage, 60000);
+    refreshUsage();
+    const interval = setInterval(refreshUsage, 60000);
 
     return () => clearInterval(interval);
+  }, [activeMode]);
+
+  // Every server reply updates the cached usage
+  useEffect(() => {
+    const handleUsage = () => setDailyUsage(getDailyUsage());
+
+    window.addEventListener('ryunex-usage', handleUsage);
+    return () => window.removeEventListener('ryunex-usage', handleUsage);
   }, []);
 
-  // Smart Auto-scroll
+  // Queued messages wait for the connection; say so under them
   useEffect(() => {
-    const scrollToBottom = () => {
-      messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    const handleConnectionChange = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', handleConnectionChange);
+    window.addEventListener('offline', handleConnectionChange);
+    return () => {
+      window.removeEventListener('online', handleConnectionChange);
+      window.removeEventListener('offline', handleConnectionChange);
     };
+  }, []);
 
-    // Only scroll if it's a new message or we are already near bottom
-    // For simplicity in this non-streaming setup, we scroll on new messages
-    // but we could add logic to check scrollTop if needed.
-    scrollToBottom();
+  // Chats are saved in the background; tell the user when the browser refuses a write
+  useEffect(() => {
+    const handleStorageError = () => showNotification('Couldn\'t save this chat to browser storage. Free up some space and try again.');
+
+    window.addEventListener('ryunex-storage-error', handleStorageError);
+    return () => window.removeEventListener('ryunex-storage-error', handleStorageError);
+  }, []);
+
+  // Smart Auto-scroll
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    isNearBottomRef.current = true;
   }, [messages, isTyping]);
 
+  // Jump to a message opened from search, after the auto-scroll above
+  useEffect(() => {
+    if (!messageTarget || messageTarget.chatId !== currentChatId) return;
+    if (!messages.some(msg => msg.id === messageTarget.messageId)) return;
+
+    // The message may be on a branch that isn't shown; open it first
+    if (!thread.some(msg => msg.id === messageTarget.messageId)) {
+      const leafId = getLatestLeaf(messages, messageTarget.messageId);
+      setActiveLeafId(leafId);
+      updateChatActiveLeaf(currentChatId, leafId);
+      return;
+    }
+
+    const element = scrollContainerRef.current?.querySelector(`[data-message-id="${CSS.escape(String(messageTarget.messageId))}"]`);
+    element?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    isNearBottomRef.current = false;
+    setHighlightedMessageId(messageTarget.messageId);
+    onMessageTargetReached();
+  }, [messages, thread, messageTarget, currentChatId, onMessageTargetReached]);
+
+  useEffect(() => {
+    if (highlightedMessageId === null) return;
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
+
+  // Follow the streamed reply, unless the user scrolled up to read something
+  useEffect(() => {
+    if (streamingText && isNearBottomRef.current) {
+      messagesEndRef.current?.scrollIntoView({ behavior: "auto" });
+    }
+  }, [streamingText]);
+
+  const handleScroll = () => {
+    const container = scrollContainerRef.current;
+    if (!container) return;
+    isNearBottomRef.current = container.scrollHeight - container.scrollTop - container.clientHeight < 120;
+  };
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
       }
+      stopSpeech();
     };
   }, []);
 
-  const handleSendMessage = async (text = inputValue) => {
-    if (!text.trim() || isTyping) return;
+  /**
+   * Downscales picked, pasted or dropped images and queues them for the next message.
+   */
+  const addAttachments = async (files) => {
+    const images = Array.from(files).filter(isImageFile);
+    if (images.length === 0) return;
 
-    // Check daily limit
-    if (isDailyLimitReached()) {
-      setNotification("Daily limit reached (25 messages). Please come back tomorrow!");
-      setTimeout(() => setNotification(null), 5000);
-      return;
+    const room = MAX_ATTACHMENTS_PER_MESSAGE - pendingAttachments.length;
+    if (images.length > room) {
+      showNotification(`You can attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} images per message.`);
     }
 
-    // Abort previous request if any
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort();
+    const results = await Promise.allSettled(images.slice(0, Math.max(0, room)).map(prepareImageAttachment));
+    const prepared = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    const failed = results.find(result => result.status === 'rejected');
+
+    if (failed) {
+      showNotification(failed.reason.message);
     }
-    abortControllerRef.current = new AbortController();
+    if (prepared.length > 0) {
+      setPendingAttachments(prev => [...prev, ...prepared].slice(0, MAX_ATTACHMENTS_PER_MESSAGE));
+    }
+  };
+
+  /**
+   * Extracts and chunks study documents locally and stores them on the current chat.
+   */
+  const addDocuments = async (files) => {
+    const picked = Array.from(files).filter(isDocumentFile);
+    if (picked.length === 0 || !currentChatId) return;
+
+    const room = MAX_DOCUMENTS_PER_CHAT - documents.length;
+    if (picked.length > room) {
+      showNotification(`You can add up to ${MAX_DOCUMENTS_PER_CHAT} documents to a chat.`);
+    }
+
+    const chatId = currentChatId;
+    setIsReadingDocument(true);
+    const results = await Promise.allSettled(picked.slice(0, Math.max(0, room)).map(prepareDocument));
+    setIsReadingDocument(false);
+
+    const prepared = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      showNotification(failed.reason.message);
+    }
+    if (prepared.length === 0 || chatIdRef.current !== chatId) return;
+
+    const updated = [...(getChatById(chatId)?.documents || []), ...prepared];
+    if (updateChatDocuments(chatId, updated)) {
+      setDocuments(updated);
+    } else {
+      showNotification('Not enough browser storage for this document. Remove an older chat or document and try again.');
+    }
+  };
+
+  const removeDocument = (id) => {
+    const updated = documents.filter(doc => doc.id !== id);
+    setDocuments(updated);
+    if (currentChatId) updateChatDocuments(currentChatId, updated);
+  };
+
+  const removeAttachment = (id) => {
+    setPendingAttachments(prev => prev.filter(attachment => attachment.id !== id));
+  };
+
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []).filter(isImageFile);
+    if (files.length > 0) {
+      e.preventDefault();
+      addAttachments(files);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    if (!Array.from(e.dataTransfer?.types || []).includes('Files')) return;
+    e.preventDefault();
+    if (!isDragging) setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // Ignore leave events fired when moving between child elements
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (isLimitReached || isTyping) return;
+    addAttachments(e.dataTransfer.files);
+    if (canAttachDocuments) addDocuments(e.dataTransfer.files);
+  };
+
+  /**
+   * Reads a reply aloud with this mode's voice settings, highlighting it while it plays.
+   */
+  const handleSpeak = (message) => {
+    setSpeakingMessageId(message.id);
+    setIsSpeechPaused(false);
+    speakText(message.text, getSpeechSettings(activeMode), {
+      // Starting another reply ends this one; don't clear the new highlight
+      onEnd: () => {
+        setSpeakingMessageId(current => (current === message.id ? null : current));
+        setIsSpeechPaused(false);
+      }
+    });
+  };
+
+  const handleGenerationSettingsChange = (settings) => {
+    setGenerationSettings(settings);
+    if (currentChatId) updateChatGenerationSettings(currentChatId, settings);
+  };
+
+  const handleChatLanguageChange = (language) => {
+    setChatLanguage(language);
+    if (currentChatId) updateChatResponseLanguage(currentChatId, language);
+  };
+
+  const handleDefaultLanguageChange = (language) => {
+    setDefaultLanguage(savePreferences({ responseLanguage: language }).responseLanguage);
+  };
+
+  const handleToggleSpeechPause = () => {
+    if (isSpeechPaused) resumeSpeech();
+    else pauseSpeech();
+    setIsSpeechPaused(!isSpeechPaused);
+  };
+
+  // Check daily limit (the server enforces it too)
+  const isBlockedByDailyLimit = () => {
+    if (!isDailyLimitReached(activeMode)) return false;
+    showNotification(`Daily limit reached (${dailyUsage.limit} messages). Please come back tomorrow!`);
+    return true;
+  };
+
+  /**
+   * Shows the branch ending at `leafId` and remembers it on the chat.
+   */
+  const showBranch = (leafId) => {
+    setActiveLeafId(leafId);
+    if (currentChatId) updateChatActiveLeaf(currentChatId, leafId);
+  };
+
+  /**
+   * Moves to the previous (-1) or next (1) version of a message, opening that version's latest branch.
+   */
+  const handleSelectVersion = (message, offset) => {
+    const siblings = getSiblings(messages, message);
+    const next = siblings[siblings.findIndex(sibling => sibling.id === message.id) + offset];
+    if (!next || isTyping) return;
+    showBranch(getLatestLeaf(messages, next.id));
+  };
+
+  const renderVersionSwitcher = (message) => {
+    const siblings = getSiblings(messages, message);
+    if (siblings.length < 2) return null;
+    return (
+      <VersionSwitcher
+        index={siblings.findIndex(sibling => sibling.id === message.id)}
+        count={siblings.length}
+        disabled={isTyping}
+        onSelect={(offset) => handleSelectVersion(message, offset)}
+      />
+    );
+  };
+
+  /**
+   * "Queued / Sending / Not sent" line under a question the outbox is holding, with retry and cancel.
+   */
+  const renderDeliveryState = (message) => {
+    const { status, nextAttemptAt, error } = message.delivery;
+    let label = 'Sending...';
+    if (status === DELIVERY_STATUS.FAILED) {
+      label = `Not sent${error ? `: ${error.title || error}` : ''}`;
+    } else if (status === DELIVERY_STATUS.QUEUED) {
+      label = !isOnline
+        ? 'Queued, waiting for the connection'
+        : nextAttemptAt > Date.now()
+          ? `Queued, retrying at ${new Date(nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}`
+          : 'Queued';
+    }
+
+    return (
+      <div className="flex flex-wrap items-center justify-end gap-2 mt-1 mr-1 text-[10px]" aria-live="polite">
+        <span className={status === DELIVERY_STATUS.FAILED ? 'text-red-400' : 'text-yellow-300/80'}>{label}</span>
+        {status !== DELIVERY_STATUS.SENDING && (
+          <button onClick={() => retryMessage(currentChatId, message.id)} className="text-[#22d3ee] hover:underline">
+            Retry now
+          </button>
+        )}
+        <button onClick={() => cancelQueuedMessage(currentChatId, message.id)} className="text-gray-400 hover:text-white hover:underline">
+          Cancel
+        </button>
+      </div>
+    );
+  };
+
+  const startEditing = (message) => {
+    setEditingMessageId(message.id);
+    setEditText(message.text);
+  };
+
+  const handleSendMessage = async (text = inputValue) => {
+    const attachments = pendingAttachments;
+    if ((!text.trim() && attachments.length === 0) || isTyping) return;
+    // A reply to the unsent question would land on another branch than the new one
+    if (thread[thread.length - 1]?.delivery) {
+      showNotification('Your last message hasn\'t been sent yet. Retry, edit or cancel it first.');
+      return;
+    }
+    if (isBlockedByDailyLimit()) return;
 
     const userMessage = {
       id: Date.now(),
+      // Follows the end of the branch on screen
+      parentId: thread.length > 0 ? thread[thread.length - 1].id : null,
       role: 'user',
       text: text.trim(),
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      ...(attachments.length > 0 && { attachments })
     };
 
-    const updatedMessages = [...messages, userMessage];
-    setMessages(updatedMessages);
     setInputValue('');
+    setPendingAttachments([]);
+    await requestReply([...messages, userMessage], userMessage);
+  };
+
+  /**
+   * "Edit and resend": the edited question becomes a new version next to the original.
+   */
+  const handleEditMessage = async (message) => {
+    const text = editText.trim();
+    if ((!text && !message.attachments?.length) || isTyping) return;
+    if (text === message.text) {
+      setEditingMessageId(null);
+      return;
+    }
+    // Never answered, so there is no version worth keeping
+    if (message.delivery) {
+      setEditingMessageId(null);
+      editQueuedMessage(currentChatId, message.id, text);
+      return;
+    }
+    if (isBlockedByDailyLimit()) return;
+
+    const editedMessage = {
+      id: Date.now(),
+      parentId: message.parentId,
+      role: 'user',
+      text,
+      timestamp: new Date().toISOString(),
+      ...(message.attachments?.length > 0 && { attachments: message.attachments })
+    };
+
+    setEditingMessageId(null);
+    await requestReply([...messages, editedMessage], editedMessage);
+  };
+
+  /**
+   * Asks again for a reply; the new one becomes a new version next to the old.
+   */
+  const handleRegenerate = async (message) => {
+    const userMessage = messages.find(msg => msg.id === message.parentId);
+    if (userMessage?.role !== 'user' || isTyping) return;
+    if (isBlockedByDailyLimit()) return;
+
+    await requestReply(messages, userMessage);
+  };
+
+  /**
+   * Asks again in place of a failed reply, which is dropped rather than kept as a version.
+   */
+  const handleRetry = async (message) => {
+    const userMessage = messages.find(msg => msg.id === message.parentId);
+    if (userMessage?.role !== 'user' || isTyping) return;
+    if (isBlockedByDailyLimit()) return;
+
+    await requestReply(messages.filter(msg => msg.id !== message.id), userMessage);
+  };
+
+  /**
+   * Streams a reply to `userMessage` and adds it as that message's newest answer.
+   * Only the branch leading to `userMessage` is sent as history.
+   *
+   * @param {Array<Object>} treeMessages - Every message of the chat, `userMessage` included
+   * @param {Object} userMessage
+   */
+  const requestReply = async (treeMessages, userMessage) => {
+    // Abort previous request if any
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+
+    setMessages(treeMessages);
+    setActiveLeafId(userMessage.id);
     setIsTyping(true);
     setNotification(null);
 
     // Save user message immediately
     if (currentChatId) {
-      updateChatMessages(currentChatId, updatedMessages);
+      updateChatMessages(currentChatId, treeMessages, userMessage.id);
     }
 
-    // Increment daily usage
-    const newUsage = incrementDailyUsage();
-    setDailyUsage(newUsage);
+    // The outbox sends it once the connection is back
+    if (!navigator.onLine) {
+      abortControllerRef.current = null;
+      setIsTyping(false);
+      queueMessage(currentChatId, userMessage.id);
+      showNotification('You\'re offline. Your message will be sent when the connection is back.');
+      return;
+    }
 
-    // Call API
+    // Call API, streaming the reply into the chat as it arrives
+    const chatId = currentChatId;
+    const controller = abortControllerRef.current;
+    const attachments = userMessage.attachments || [];
     const result = await callGeminiAPI(
-      text.trim(),
+      userMessage.text,
       activeMode,
-      updatedMessages.slice(0, -1), // Previous messages for context
-      abortControllerRef.current.signal
+      getThread(treeMessages, userMessage.id).slice(0, -1), // Previous messages of this branch for context
+      {
+        signal: controller.signal,
+        onChunk: (chunk, fullText) => {
+          if (chatIdRef.current === chatId) setStreamingText(fullText);
+        },
+        summary: getChatById(chatId)?.summary,
+        attachments,
+        documents,
+        generationSettings,
+        language: responseLanguage
+      }
     );
 
-    setIsTyping(false);
-    abortControllerRef.current = null;
+    // Older turns were folded into the chat's running summary
+    if (result.summary && chatId) {
+      updateChatSummary(chatId, result.summary);
+    }
+
+    if (abortControllerRef.current === controller) {
+      abortControllerRef.current = null;
+    }
+
+    // The user may have switched chats while the reply was streaming
+    const isSameChat = chatIdRef.current === chatId;
+    if (isSameChat) {
+      setIsTyping(false);
+      setStreamingText('');
+    }
+
+    /**
+     * Adds the reply under `userMessage`, shows it and saves it.
+     */
+    const addReply = (reply) => {
+      // The outbox may have answered another message of this chat meanwhile
+      const finalMessages = [...(getChatById(chatId)?.messages || treeMessages), { ...reply, parentId: userMessage.id }];
+      if (isSameChat) {
+        setMessages(finalMessages);
+        setActiveLeafId(reply.id);
+      }
+      if (chatId) {
+        updateChatMessages(chatId, finalMessages, reply.id);
+      }
+    };
+
+    if (result.isCancelled) {
+      // Keep whatever was streamed before the user pressed stop
+      if (result.partialText) {
+        // The server counts a stopped reply, so pick up the new allowance
+        fetchDailyUsage(activeMode);
+
+        addReply({
+          id: Date.now() + 1,
+          role: 'ai',
+          text: result.partialText,
+          timestamp: new Date().toISOString(),
+          modelUsed: result.modelUsed,
+          ...(generationSettings && { generationSettings }),
+          ...(result.sources?.length > 0 && { sources: result.sources }),
+          metrics: result.metrics,
+          isPartial: true
+        });
+      }
+      return;
+    }
+
+    // Worth another try later: the outbox retries it with backoff
+    if (result.error?.retryable) {
+      queueMessage(chatId, userMessage.id, result.error);
+      if (isSameChat) showNotification(`${result.error.title}. Your message is queued and will be retried automatically.`);
+      return;
+    }
 
-    if (result.isCancelled) return;
+    if (!isSameChat) return;
 
     if (result.success) {
       const aiMessage = {
@@ -133,50 +645,82 @@ export default function MainChat({ activeMode, currentChatId, onChatChange }) {
         role: 'ai',
         text: result.text,
         timestamp: new Date().toISOString(),
-        modelUsed: result.modelUsed
+        modelUsed: result.modelUsed,
+        // Settings the reply was generated with, shown in its footer
+        ...(generationSettings && { generationSettings }),
+        ...(result.sources?.length > 0 && { sources: result.sources }),
+        metrics: result.metrics
       };
 
-      const finalMessages = [...updatedMessages, aiMessage];
-      setMessages(finalMessages);
+      addReply(aiMessage);
 
-      // Save AI response immediately
-      if (currentChatId) {
-        updateChatMessages(currentChatId, finalMessages);
+      if (canSpeak && getSpeechSettings(activeMode).autoSpeak) {
+        handleSpeak(aiMessage);
+      }
+
+      // Let the user know a backup provider answered
+      if (result.fellBack) {
+        showNotification(`Gemini is unavailable right now, answered with ${result.providerUsed}.`);
       }
     } else {
-      // Show error message
-      const errorMessage = {
+      // Show what went wrong, with a retry button
+      addReply({
         id: Date.now() + 1,
         role: 'ai',
-        text: `Sorry, I encountered an error: ${result.text}. Please try again.`,
+        text: result.error.message,
         timestamp: new Date().toISOString(),
+        metrics: result.metrics,
+        error: result.error,
         isError: true
-      };
+      });
 
-      const finalMessages = [...updatedMessages, errorMessage];
-      setMessages(finalMessages);
-
-      if (currentChatId) {
-        updateChatMessages(currentChatId, finalMessages);
-      }
+      showNotification(result.error.title);
+    }
+  };
 
-      setNotification(result.text);
-      setTimeout(() => setNotification(null), 5000);
+  /**
+   * Sends a snippet that failed in the code runner back to Ryunex as a follow-up question.
+   */
+  const handleAskAboutError = (code, language, error) => {
+    if (isTyping) {
+      showNotification('Wait for the current reply to finish, then ask about the error.');
+      return;
     }
+    handleSendMessage(`I ran this ${language} code and got an error:\n\n\`\`\`\n${error}\n\`\`\`\n\n\`\`\`${language}\n${code}\n\`\`\`\n\nWhat's wrong and how do I fix it?`);
   };
 
-  const getModeStyles = () => {
-    if (activeMode === 'Coder') return { accent: 'text-green-400', glow: 'shadow-[0_0_30px_rgba(74,222,128,0.15)]', iconColor: 'text-green-400' };
-    if (activeMode === 'Student') return { accent: 'text-yellow-400', glow: 'shadow-[0_0_30px_rgba(250,204,21,0.15)]', iconColor: 'text-yellow-400' };
-    if (activeMode === 'Chill') return { accent: 'text-teal-400', glow: 'shadow-[0_0_30px_rgba(45,212,191,0.15)]', iconColor: 'text-teal-400' };
-    return { accent: 'text-[#22d3ee]', glow: 'shadow-[0_0_30px_rgba(147,51,234,0.15)]', iconColor: 'text-[#22d3ee]' };
+  const handleStopGenerating = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
   };
 
-  const styles = getModeStyles();
-  const isLimitReached = isDailyLimitReached();
+  const styles = getModeStyles(activeMode);
+  const modeName = mode?.name || activeMode;
+  // Welcome screen and input copy follow the reply language
+  const copy = getResponseLanguage(responseLanguage).copy;
+  const isLimitReached = dailyUsage.remaining <= 0 && (!dailyUsage.mode || dailyUsage.mode === activeMode);
+  const canSpeak = isSpeechSynthesisSupported();
+  // Study documents are a Student mode feature
+  const canAttachDocuments = activeMode === 'Student';
 
   return (
-    <main className="flex-1 flex flex-col relative h-[calc(100vh-4rem)]">
+    <main
+      className="flex-1 flex flex-col relative h-[calc(100vh-4rem)]"
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {/* Drop Overlay */}
+      {isDragging && (
+        <div className="absolute inset-0 z-30 flex items-center justify-center bg-[#0b0f1a]/80 backdrop-blur-sm border-2 border-dashed border-[#22d3ee]/50 rounded-2xl m-2 pointer-events-none">
+          <div className="flex flex-col items-center gap-2 text-[#22d3ee]">
+            <ImageIcon className="w-10 h-10" />
+            <p className="text-sm font-medium">{canAttachDocuments ? 'Drop images or notes to attach' : 'Drop images to attach'}</p>
+          </div>
+        </div>
+      )}
+
       {/* Notification Banner */}
       <AnimatePresence>
         {notification && (
@@ -192,10 +736,10 @@ export default function MainChat({ activeMode, currentChatId, onChatChange }) {
       </AnimatePresence>
 
       {/* Chat Content */}
-      <div className="flex-1 overflow-y-auto p-4 md:p-8 pb-40 scroll-smooth">
+      <div ref={scrollContainerRef} onScroll={handleScroll} className="flex-1 overflow-y-auto p-4 md:p-8 pb-40 scroll-smooth">
         <div className="max-w-3xl mx-auto space-y-8">
           {/* Welcome Section */}
-          {messages.length === 0 && (
+          {thread.length === 0 && (
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
@@ -205,22 +749,23 @@ export default function MainChat({ activeMode, currentChatId, onChatChange }) {
                 <BrainIcon className={`w-8 h-8 ${styles.iconColor}`} />
               </div>
               <h2 className="text-3xl md:text-4xl font-bold text-white mb-3 tracking-tight">
-                Welcome to Ryunex AI{' '}
+                {copy.welcome}{' '}
                 <span className={`text-transparent bg-clip-text bg-gradient-to-r from-white to-gray-400 block text-lg mt-2 font-normal ${styles.accent}`}>
-                  {activeMode} Mode
+                  {modeName} Mode
                 </span>
               </h2>
               <p className="text-gray-400 text-lg font-light">
-                Ask anything. Think clearly. Grow calmly.
+                {copy.tagline}
               </p>
             </motion.div>
           )}
 
           {/* Chat Messages */}
           <AnimatePresence>
-            {messages.map((msg) => (
+            {thread.map((msg) => (
               <motion.div
                 key={msg.id}
+                data-message-id={msg.id}
                 initial={{ opacity: 0, y: 10 }}
                 animate={{ opacity: 1, y: 0 }}
                 exit={{ opacity: 0, y: -10 }}
@@ -238,25 +783,160 @@ export default function MainChat({ activeMode, currentChatId, onChatChange }) {
                       : msg.isError
                         ? 'bg-red-500/10 border border-red-500/30 text-red-200 rounded-tl-sm'
                         : 'bg-white/5 border border-white/10 text-gray-100 rounded-tl-sm shadow-lg backdrop-blur-md relative overflow-hidden group'
-                      } px-5 py-3.5 rounded-2xl`}
+                      } ${speakingMessageId === msg.id || highlightedMessageId === msg.id ? 'ring-2 ring-[#22d3ee]/60 shadow-[0_0_20px_rgba(34,211,238,0.25)]' : ''} px-5 py-3.5 rounded-2xl transition-shadow`}
                   >
                     {msg.role === 'ai' && !msg.isError && (
                       <div className="absolute -top-10 -left-10 w-32 h-32 bg-purple-600/10 rounded-full blur-3xl group-hover:bg-purple-600/20 transition-all duration-500"></div>
                     )}
-                    <p className="text-sm md:text-base leading-relaxed relative z-10 whitespace-pre-wrap">
-                      {msg.text}
-                    </p>
+                    {msg.attachments?.length > 0 && (
+                      <div className={`relative z-10 ${msg.text ? 'mb-2' : ''}`}>
+                        <AttachmentThumbnails attachments={msg.attachments} size="w-28 h-28 md:w-36 md:h-36" />
+                      </div>
+                    )}
+                    {editingMessageId === msg.id ? (
+                      <div className="relative z-10 w-72 max-w-full">
+                        <textarea
+                          autoFocus
+                          value={editText}
+                          onChange={(e) => setEditText(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter' && !e.shiftKey) {
+                              e.preventDefault();
+                              handleEditMessage(msg);
+                            }
+                            if (e.key === 'Escape') setEditingMessageId(null);
+                          }}
+                          aria-label="Edit message"
+                          rows={3}
+                          className="w-full bg-black/30 border border-white/10 rounded-lg px-3 py-2 text-sm text-white outline-none focus:border-[#22d3ee]/50 resize-y"
+                        />
+                        <div className="flex justify-end gap-2 mt-2">
+                          <button
+                            onClick={() => setEditingMessageId(null)}
+                            className="px-3 py-1 rounded-lg text-xs text-gray-300 hover:bg-white/5 transition-colors"
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            onClick={() => handleEditMessage(msg)}
+                            disabled={isTyping || (!editText.trim() && !msg.attachments?.length)}
+                            className="px-3 py-1 rounded-lg text-xs font-medium bg-gradient-to-r from-purple-600 to-[#22d3ee] text-white disabled:opacity-40 disabled:cursor-not-allowed"
+                          >
+                            Send
+                          </button>
+                        </div>
+                      </div>
+                    ) : msg.isError ? (
+                      <div className="relative z-10" role="alert">
+                        <p className="text-sm font-semibold text-red-100">{getMessageError(msg).title}</p>
+                        <p className="text-sm leading-relaxed whitespace-pre-wrap mt-0.5">{getMessageError(msg).message}</p>
+                        <button
+                          onClick={() => handleRetry(msg)}
+                          disabled={isTyping || isLimitReached}
+                          className="flex items-center gap-1.5 mt-2 px-3 py-1 rounded-lg text-xs text-red-100 border border-red-400/30 hover:bg-red-500/10 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          <RefreshIcon className="w-3 h-3" />
+                          Retry
+                        </button>
+                      </div>
+                    ) : msg.text && (msg.role === 'ai' ? (
+                      <div className="relative z-10">
+                        <MarkdownMessage
+                          text={msg.text}
+                          canRunCode={activeMode === 'Coder'}
+                          onAskAboutError={handleAskAboutError}
+                        />
+                      </div>
+                    ) : (
+                      <p className="text-sm md:text-base leading-relaxed relative z-10 whitespace-pre-wrap">
+                        {msg.text}
+                      </p>
+                    ))}
                   </div>
+                  {msg.delivery && renderDeliveryState(msg)}
                   {msg.role === 'user' ? (
-                    <span className="text-[10px] text-gray-500 mt-1 mr-1">
-                      {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                    </span>
-                  ) : (
-                    <div className="flex items-center gap-3 mt-2 ml-1">
+                    <div className="flex items-center gap-2 mt-1 mr-1">
+                      {renderVersionSwitcher(msg)}
+                      {editingMessageId !== msg.id && (
+                        <button
+                          onClick={() => startEditing(msg)}
+                          disabled={isTyping || isLimitReached}
+                          aria-label="Edit and resend"
+                          title="Edit and resend"
+                          className="p-1 rounded-full text-gray-500 hover:text-white hover:bg-white/5 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                        >
+                          <PencilIcon className="w-3 h-3" />
+                        </button>
+                      )}
                       <span className="text-[10px] text-gray-500">
-                        Ryunex AI • {activeMode} {msg.modelUsed && `• ${msg.modelUsed}`}
+                        {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                       </span>
                     </div>
+                  ) : (
+                    <>
+                      {msg.sources?.length > 0 && (
+                        <div className="flex flex-wrap items-center gap-1.5 mt-2 ml-1">
+                          <span className="text-[10px] text-gray-500">Sources:</span>
+                          {msg.sources.map((source) => (
+                            <span
+                              key={`${source.documentName}-${source.section}`}
+                              className="flex items-center gap-1 text-[10px] text-yellow-200/80 bg-yellow-400/5 border border-yellow-400/20 rounded-full px-2 py-0.5"
+                            >
+                              <BookIcon className="w-3 h-3" />
+                              {source.documentName} — {source.section}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      <div className="flex items-center gap-3 mt-2 ml-1">
+                        {renderVersionSwitcher(msg)}
+                        <span className="text-[10px] text-gray-500">
+                          Ryunex AI • {modeName} {msg.modelUsed && `• ${msg.modelUsed}`} {describeGenerationSettings(msg.generationSettings) && `• ${describeGenerationSettings(msg.generationSettings)}`} {msg.isPartial && '• Stopped'}
+                        </span>
+                        {canSpeak && !msg.isError && (
+                          speakingMessageId === msg.id ? (
+                            <div className="flex items-center gap-1">
+                              <button
+                                onClick={handleToggleSpeechPause}
+                                aria-label={isSpeechPaused ? 'Resume reading' : 'Pause reading'}
+                                title={isSpeechPaused ? 'Resume' : 'Pause'}
+                                className="p-1 rounded-full text-[#22d3ee] hover:bg-white/5 transition-colors"
+                              >
+                                {isSpeechPaused ? <PlayIcon className="w-3.5 h-3.5" /> : <PauseIcon className="w-3.5 h-3.5" />}
+                              </button>
+                              <button
+                                onClick={stopSpeech}
+                                aria-label="Stop reading"
+                                title="Stop"
+                                className="p-1 rounded-full text-[#22d3ee] hover:bg-white/5 transition-colors"
+                              >
+                                <StopIcon className="w-3.5 h-3.5" />
+                              </button>
+                            </div>
+                          ) : (
+                            <button
+                              onClick={() => handleSpeak(msg)}
+                              aria-label="Read aloud"
+                              title="Read aloud"
+                              className="p-1 rounded-full text-gray-500 hover:text-white hover:bg-white/5 transition-colors"
+                            >
+                              <SpeakerIcon className="w-3.5 h-3.5" />
+                            </button>
+                          )
+                        )}
+                        {!msg.isError && (
+                          <button
+                            onClick={() => handleRegenerate(msg)}
+                            disabled={isTyping || isLimitReached}
+                            aria-label="Regenerate reply"
+                            title="Regenerate"
+                            className="p-1 rounded-full text-gray-500 hover:text-white hover:bg-white/5 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                          >
+                            <RefreshIcon className="w-3.5 h-3.5" />
+                          </button>
+                        )}
+                      </div>
+                    </>
                   )}
                 </div>
                 {msg.role === 'user' && <div></div>}
@@ -264,8 +944,23 @@ export default function MainChat({ activeMode, currentChatId, onChatChange }) {
             ))}
           </AnimatePresence>
 
+          {/* Streaming Reply */}
+          {isTyping && streamingText && (
+            <div className="flex justify-start items-start gap-3">
+              <div className="w-8 h-8 rounded-full bg-gradient-to-br from-purple-600 to-purple-800 border border-purple-400/30 flex items-center justify-center shrink-0 shadow-[0_0_10px_rgba(147,51,234,0.3)]">
+                <SparklesIcon className="w-4 h-4 text-white" />
+              </div>
+              <div className="flex flex-col items-start max-w-[85%] md:max-w-[70%]">
+                <div className="bg-white/5 border border-white/10 text-gray-100 rounded-tl-sm shadow-lg backdrop-blur-md px-5 py-3.5 rounded-2xl">
+                  <MarkdownMessage text={streamingText} />
+                  <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-[#22d3ee] animate-pulse"></span>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Typing Indicator */}
-          {isTyping && (
+          {isTyping && !streamingText && (
             <motion.div
               initial={{ opacity: 0 }}
               animate={{ opacity: 1 }}
@@ -288,50 +983,164 @@ export default function MainChat({ activeMode, currentChatId, onChatChange }) {
       {/* Input Area */}
       <div className="absolute bottom-0 left-0 right-0 p-4 bg-gradient-to-t from-[#0b0f1a] via-[#0b0f1a] to-transparent z-20">
         <div className="max-w-3xl mx-auto">
+          {/* Study Documents */}
+          {canAttachDocuments && (documents.length > 0 || isReadingDocument) && (
+            <div className="mb-3 px-2">
+              <ChatDocuments documents={documents} onRemove={removeDocument} isProcessing={isReadingDocument} />
+            </div>
+          )}
+
+          {/* Pending Attachments */}
+          {pendingAttachments.length > 0 && (
+            <div className="mb-3 px-2">
+              <AttachmentThumbnails attachments={pendingAttachments} onRemove={removeAttachment} size="w-16 h-16" />
+            </div>
+          )}
+
           {/* Input Bar */}
           <div className="relative group">
             <div className="absolute -inset-0.5 bg-gradient-to-r from-purple-600 to-[#22d3ee] rounded-full opacity-20 group-hover:opacity-40 transition duration-500 blur"></div>
             <div className="relative flex items-center bg-[#0b0f1a]/80 backdrop-blur-xl border border-white/10 rounded-full p-1.5 shadow-2xl">
+              {/* Attach Image */}
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                aria-label="Attach images"
+                title="Attach images"
+                className="p-2 ml-1 rounded-full text-gray-400 hover:text-white hover:bg-white/5 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={isLimitReached || isTyping || pendingAttachments.length >= MAX_ATTACHMENTS_PER_MESSAGE}
+              >
+                <ImageIcon className="w-5 h-5" />
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="image/*"
+                multiple
+                className="hidden"
+                onChange={(e) => {
+                  addAttachments(e.target.files);
+                  e.target.value = '';
+                }}
+              />
+              {canAttachDocuments && (
+                <>
+                  <button
+                    onClick={() => documentInputRef.current?.click()}
+                    aria-label="Add study documents"
+                    title="Add notes (PDF, Markdown or text)"
+                    className="p-2 rounded-full text-gray-400 hover:text-yellow-300 hover:bg-white/5 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={isTyping || isReadingDocument || documents.length >= MAX_DOCUMENTS_PER_CHAT}
+                  >
+                    <BookIcon className="w-5 h-5" />
+                  </button>
+                  <input
+                    ref={documentInputRef}
+                    type="file"
+                    accept={DOCUMENT_ACCEPT}
+                    multiple
+                    className="hidden"
+                    onChange={(e) => {
+                      addDocuments(e.target.files);
+                      e.target.value = '';
+                    }}
+                  />
+                </>
+              )}
+
               {/* Input Field */}
               <input
                 type="text"
                 aria-label="Message input"
-                placeholder={isLimitReached ? "Daily limit reached. Come back tomorrow!" : "Type your message to Ryunex..."}
-                className="flex-1 bg-transparent border-none outline-none text-white placeholder-gray-500 px-4 py-2 text-sm md:text-base disabled:opacity-50 disabled:cursor-not-allowed"
+                placeholder={isLimitReached ? copy.limitReached : isListening ? copy.listening : copy.placeholder}
+                className="flex-1 bg-transparent border-none outline-none text-white placeholder-gray-500 px-2 py-2 text-sm md:text-base disabled:opacity-50 disabled:cursor-not-allowed"
                 value={inputValue}
                 onChange={(e) => setInputValue(e.target.value)}
                 onKeyDown={(e) => e.key === 'Enter' && !isLimitReached && !isTyping && handleSendMessage()}
+                onPaste={handlePaste}
                 disabled={isLimitReached || isTyping}
               />
 
               {/* Right Icons */}
               <div className="flex items-center gap-1 pr-1">
-                <button
-                  className="p-2 rounded-full text-gray-400 hover:text-white hover:bg-white/5 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                <VoiceInputButton
+                  value={inputValue}
+                  onChange={setInputValue}
+                  onMessage={showNotification}
+                  onListeningChange={setIsListening}
                   disabled={isLimitReached || isTyping}
-                >
-                  <MicIcon className="w-5 h-5" />
-                </button>
-                <motion.button
-                  whileHover={{ scale: isLimitReached || isTyping ? 1 : 1.05 }}
-                  whileTap={{ scale: isLimitReached || isTyping ? 1 : 0.95 }}
-                  onClick={() => !isLimitReached && !isTyping && handleSendMessage()}
-                  disabled={isLimitReached || isTyping}
-                  className="p-2 rounded-full bg-gradient-to-r from-purple-600 to-[#22d3ee] text-white shadow-[0_0_10px_rgba(147,51,234,0.4)] hover:shadow-[0_0_15px_rgba(34,211,238,0.6)] transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  <SendIcon className="w-4 h-4 ml-0.5" />
-                </motion.button>
+                />
+                {isTyping ? (
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={handleStopGenerating}
+                    aria-label="Stop generating"
+                    title="Stop generating"
+                    className="p-2 rounded-full bg-white/10 border border-white/20 text-white hover:bg-white/20 transition-all duration-300"
+                  >
+                    <StopIcon className="w-4 h-4" />
+                  </motion.button>
+                ) : (
+                  <motion.button
+                    whileHover={{ scale: isLimitReached ? 1 : 1.05 }}
+                    whileTap={{ scale: isLimitReached ? 1 : 0.95 }}
+                    onClick={() => !isLimitReached && handleSendMessage()}
+                    disabled={isLimitReached}
+                    className="p-2 rounded-full bg-gradient-to-r from-purple-600 to-[#22d3ee] text-white shadow-[0_0_10px_rgba(147,51,234,0.4)] hover:shadow-[0_0_15px_rgba(34,211,238,0.6)] transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <SendIcon className="w-4 h-4 ml-0.5" />
+                  </motion.button>
+                )}
               </div>
             </div>
           </div>
 
-          <div className="text-center mt-2">
+          <div className="relative flex items-center justify-center mt-2">
+            {canSpeak && (
+              <button
+                onClick={() => setShowSpeechSettings(!showSpeechSettings)}
+                aria-label="Read-aloud settings"
+                title="Read-aloud settings"
+                className="absolute left-2 flex items-center gap-1 text-[10px] text-gray-500 hover:text-white transition-colors"
+              >
+                <SlidersIcon className="w-3 h-3" />
+                Voice
+              </button>
+            )}
+            <AnimatePresence>
+              {showSpeechSettings && (
+                <SpeechSettings mode={activeMode} onClose={() => setShowSpeechSettings(false)} />
+              )}
+            </AnimatePresence>
             <p className="text-[10px] text-gray-600">
               Ryunex AI can make mistakes. Check important info.
             </p>
+            <button
+              onClick={() => setShowGenerationSettings(true)}
+              aria-label="Chat settings"
+              title="Language, model, temperature, length and safety for this chat"
+              className={`absolute right-2 flex items-center gap-1 text-[10px] transition-colors ${generationSettings || chatLanguage ? 'text-[#22d3ee]' : 'text-gray-500 hover:text-white'}`}
+            >
+              <SlidersIcon className="w-3 h-3" />
+              Settings
+            </button>
           </div>
         </div>
       </div>
+      <AnimatePresence>
+        {showGenerationSettings && (
+          <GenerationSettings
+            settings={generationSettings}
+            modeDefaults={getModeGenerationDefaults(activeMode)}
+            onChange={handleGenerationSettingsChange}
+            language={chatLanguage}
+            defaultLanguage={defaultLanguage}
+            onLanguageChange={handleChatLanguageChange}
+            onDefaultLanguageChange={handleDefaultLanguageChange}
+            onClose={() => setShowGenerationSettings(false)}
+          />
+        )}
+      </AnimatePresence>
     </main>
   );
 }
@@ -0,0 +1,118 @@
+import React, { useMemo, useRef } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import CodeBlock from './CodeBlock';
+import MathFormula from './MathFormula';
+import MermaidDiagram from './MermaidDiagram';
+
+// Raw HTML in a reply is shown as text, never rendered (react-markdown escapes it unless rehype-raw is added),
+// and the default URL transform drops javascript: and other unsafe link targets.
+const REMARK_PLUGINS = [remarkGfm, remarkMath];
+
+const getLanguage = (className = '') => className.match(/language-([\w#+-]+)/)?.[1]?.toLowerCase() || '';
+
+/**
+ * Models often write LaTeX as \( ... \) and \[ ... \]; remark-math only knows $ ... $ and $$ ... $$.
+ * Code fences and inline code are left alone.
+ */
+const normalizeMathDelimiters = (text) => text
+  .split(/(```[\s\S]*?(?:```|$)|`[^`\n]*`)/g)
+  .map((part, index) => (index % 2 === 1
+    ? part
+    : part
+      .replace(/\\\[([\s\S]+?)\\\]/g, (_, tex) => `\n$$\n${tex.trim()}\n$$\n`)
+      .replace(/\\\(([\s\S]+?)\\\)/g, (_, tex) => `$${tex.trim()}$`)))
+  .join('');
+
+const baseComponents = {
+  // Fenced code renders as a CodeBlock; the <pre> wrapper would double it up
+  pre: ({ children }) => <>{children}</>,
+  p: ({ children }) => <p className="my-2 first:mt-0 last:mb-0 leading-relaxed">{children}</p>,
+  h1: ({ children }) => <h1 className="mt-4 mb-2 first:mt-0 text-xl font-bold text-white">{children}</h1>,
+  h2: ({ children }) => <h2 className="mt-4 mb-2 first:mt-0 text-lg font-bold text-white">{children}</h2>,
+  h3: ({ children }) => <h3 className="mt-3 mb-1.5 first:mt-0 text-base font-semibold text-white">{children}</h3>,
+  h4: ({ children }) => <h4 className="mt-3 mb-1 first:mt-0 font-semibold text-white">{children}</h4>,
+  ul: ({ children, className }) => (
+    <ul className={`my-2 space-y-1 ${className?.includes('contains-task-list') ? 'list-none pl-1' : 'list-disc pl-5'}`}>{children}</ul>
+  ),
+  ol: ({ children, start }) => <ol start={start} className="my-2 space-y-1 list-decimal pl-5">{children}</ol>,
+  li: ({ children, className }) => (
+    <li className={className?.includes('task-list-item') ? 'flex items-start gap-2' : 'pl-1'}>{children}</li>
+  ),
+  input: ({ checked }) => (
+    <input type="checkbox" checked={Boolean(checked)} readOnly disabled className="mt-1.5 accent-[#22d3ee]" />
+  ),
+  blockquote: ({ children }) => (
+    <blockquote className="my-2 pl-3 border-l-2 border-purple-500/50 text-gray-300 italic">{children}</blockquote>
+  ),
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-[#22d3ee] underline underline-offset-2 hover:text-white">{children}</a>
+  ),
+  hr: () => <hr className="my-4 border-white/10" />,
+  table: ({ children }) => (
+    <div className="my-3 overflow-x-auto rounded-lg border border-white/10">
+      <table className="w-full text-sm border-collapse">{children}</table>
+    </div>
+  ),
+  thead: ({ children }) => <thead className="bg-white/5">{children}</thead>,
+  th: ({ children, style }) => <th style={style} className="px-3 py-2 text-left font-semibold text-white border-b border-white/10">{children}</th>,
+  td: ({ children, style }) => <td style={style} className="px-3 py-2 border-b border-white/5 align-top">{children}</td>,
+  // Never loaded automatically: a reply steered by an uploaded document could otherwise
+  // leak the chat to any server through the image URL. The user can still open it.
+  img: ({ src, alt }) => (src ? (
+    <a href={src} target="_blank" rel="noopener noreferrer" className="text-[#22d3ee] underline underline-offset-2 hover:text-white">
+      🖼 {alt || 'Image'}
+    </a>
+  ) : null)
+};
+
+/**
+ * Renders an AI reply as GitHub-flavored Markdown (tables, task lists, strikethrough, autolinks),
+ * with LaTeX math and mermaid diagrams.
+ *
+ * @param {Object} props
+ * @param {string} props.text
+ * @param {boolean} [props.canRunCode] - Show Run on JavaScript/TypeScript blocks
+ * @param {(code: string, language: string, error: string) => void} [props.onAskAboutError]
+ */
+export default function MarkdownMessage({ text, canRunCode = false, onAskAboutError }) {
+  // Read through a ref so a new callback doesn't remount the code blocks and wipe their run output
+  const onAskAboutErrorRef = useRef(onAskAboutError);
+  onAskAboutErrorRef.current = onAskAboutError;
+
+  const components = useMemo(() => ({
+    ...baseComponents,
+    code: ({ className, children, node }) => {
+      const code = String(children ?? '').replace(/\n$/, '');
+      // remark-math marks formulas as `math-inline` / `math-display` code
+      if (className?.includes('language-math')) {
+        return <MathFormula tex={code} displayMode={className.includes('math-display')} />;
+      }
+      const isBlock = Boolean(className) || node?.position?.start.line !== node?.position?.end.line;
+      if (!isBlock) {
+        return <code className="px-1.5 py-0.5 rounded-md bg-white/10 text-[0.9em] font-mono text-[#22d3ee]">{children}</code>;
+      }
+      const language = getLanguage(className);
+      if (language === 'mermaid') {
+        return <MermaidDiagram code={code} />;
+      }
+      return (
+        <CodeBlock
+          code={code}
+          language={language}
+          canRun={canRunCode}
+          onAskAboutError={(...args) => onAskAboutErrorRef.current?.(...args)}
+        />
+      );
+    }
+  }), [canRunCode]);
+
+  return (
+    <div className="text-sm md:text-base break-words">
+      <ReactMarkdown remarkPlugins={REMARK_PLUGINS} components={components}>
+        {normalizeMathDelimiters(text)}
+      </ReactMarkdown>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React, { useMemo } from 'react';
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+
+/**
+ * Renders a LaTeX formula with KaTeX (fonts ship with the bundle, no network).
+ * Invalid LaTeX falls back to the source with a short error hint.
+ */
+export default function MathFormula({ tex, displayMode = false }) {
+  const result = useMemo(() => {
+    try {
+      return {
+        html: katex.renderToString(tex, {
+          displayMode,
+          throwOnError: true,
+          // \href, \includegraphics and friends stay disabled
+          trust: false,
+          strict: 'ignore',
+          output: 'htmlAndMathml'
+        })
+      };
+    } catch (error) {
+      return { error: error.message?.replace(/^KaTeX parse error:\s*/, '') || 'Invalid formula' };
+    }
+  }, [tex, displayMode]);
+
+  if (result.error) {
+    const Wrapper = displayMode ? 'div' : 'span';
+    return (
+      <Wrapper className={displayMode ? 'my-3' : ''} title={`Couldn't render formula: ${result.error}`}>
+        <code className="px-1.5 py-0.5 rounded-md bg-red-500/10 border border-red-500/20 text-[0.9em] font-mono text-red-200 whitespace-pre-wrap">
+          {displayMode ? `$$${tex}$$` : `$${tex}$`}
+        </code>
+        {displayMode && (
+          <span className="block mt-1 text-[11px] text-red-300/80">Couldn't render formula: {result.error}</span>
+        )}
+      </Wrapper>
+    );
+  }
+
+  return displayMode
+    ? <div className="my-3 overflow-x-auto overflow-y-hidden" dangerouslySetInnerHTML={{ __html: result.html }} />
+    : <span dangerouslySetInnerHTML={{ __html: result.html }} />;
+}
@@ -0,0 +1,87 @@
+import React, { useState, useEffect, useId } from 'react';
+import CodeBlock from './CodeBlock';
+
+// Wait for the block to stop changing before rendering, so a streaming reply doesn't re-render every chunk
+const RENDER_DELAY_MS = 400;
+
+let mermaidPromise = null;
+
+/**
+ * Loads mermaid on first use; it is large and most replies have no diagrams.
+ */
+const loadMermaid = () => {
+  if (!mermaidPromise) {
+    mermaidPromise = import('mermaid').then(({ default: mermaid }) => {
+      mermaid.initialize({
+        startOnLoad: false,
+        theme: 'dark',
+        // Strips scripts and HTML labels from diagram source
+        securityLevel: 'strict',
+        fontFamily: 'inherit'
+      });
+      return mermaid;
+    });
+  }
+  return mermaidPromise;
+};
+
+/**
+ * Renders a fenced `mermaid` block as an SVG diagram, locally.
+ * Invalid diagrams fall back to the source in a code block with the parser's error.
+ */
+export default function MermaidDiagram({ code }) {
+  const [svg, setSvg] = useState(null);
+  const [error, setError] = useState(null);
+  const id = `mermaid-${useId().replace(/[^\w-]/g, '')}`;
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    const timer = setTimeout(async () => {
+      try {
+        const mermaid = await loadMermaid();
+        // parse() throws on invalid syntax without leaving error graphics in the page
+        await mermaid.parse(code);
+        const result = await mermaid.render(id, code);
+        if (isCurrent) {
+          setSvg(result.svg);
+          setError(null);
+        }
+      } catch (err) {
+        if (isCurrent) {
+          setSvg(null);
+          setError(err?.message?.split('\n')[0] || 'Invalid diagram');
+        }
+      }
+    }, RENDER_DELAY_MS);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [code, id]);
+
+  if (error) {
+    return (
+      <div>
+        <CodeBlock code={code} language="mermaid" />
+        <p className="-mt-2 mb-3 text-[11px] text-red-300/80">Couldn't draw this diagram: {error}</p>
+      </div>
+    );
+  }
+
+  if (!svg) {
+    return (
+      <div className="my-3 p-4 rounded-xl border border-white/10 bg-white/5 text-xs text-gray-400 animate-pulse">
+        Drawing diagram...
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="my-3 p-3 rounded-xl border border-white/10 bg-[#0d1117] overflow-x-auto flex justify-center [&_svg]:max-w-full [&_svg]:h-auto"
+      dangerouslySetInnerHTML={{ __html: svg }}
+    />
+  );
+}
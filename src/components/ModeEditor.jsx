@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { XIcon } from './Icons';
+import { MODE_ICONS } from './modeIcons';
+import { MODEL_OPTIONS, fetchModelOptions } from '../utils/api';
+import {
+  ACCENT_COLORS,
+  CUSTOM_PROMPT_TEMPLATE,
+  validateCustomMode,
+  createCustomMode,
+  updateCustomMode,
+  deleteCustomMode
+} from '../utils/modes';
+
+const EMPTY_MODE = {
+  name: '',
+  icon: 'sparkles',
+  accent: 'purple',
+  systemPrompt: CUSTOM_PROMPT_TEMPLATE,
+  temperature: 0.7,
+  model: null
+};
+
+/**
+ * Create or edit a custom mode (persona): name, icon, accent colour, system prompt, temperature and model.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.mode - Custom mode to edit, or null to create one
+ * @param {() => void} props.onClose
+ * @param {(modeId: string) => void} props.onSaved - Receives the id of the created or updated mode
+ * @param {(modeId: string) => void} props.onDeleted
+ */
+export default function ModeEditor({ mode, onClose, onSaved, onDeleted }) {
+  const [fields, setFields] = useState(() => (mode ? { ...EMPTY_MODE, ...mode } : EMPTY_MODE));
+  const [error, setError] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [modelOptions, setModelOptions] = useState(MODEL_OPTIONS);
+
+  useEffect(() => {
+    let isMounted = true;
+    fetchModelOptions().then(({ models }) => {
+      if (isMounted) setModelOptions(models);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const update = (changes) => {
+    setFields(prev => ({ ...prev, ...changes }));
+    setError(null);
+  };
+
+  const handleSave = () => {
+    const problem = validateCustomMode(fields, mode?.id);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    if (mode) {
+      updateCustomMode(mode.id, fields);
+      onSaved(mode.id);
+    } else {
+      onSaved(createCustomMode(fields).id);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!confirmDelete) {
+      setConfirmDelete(true);
+      return;
+    }
+    deleteCustomMode(mode.id);
+    onDeleted(mode.id);
+  };
+
+  const accent = ACCENT_COLORS[fields.accent] || ACCENT_COLORS.purple;
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.96 }}
+        animate={{ opacity: 1, scale: 1 }}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label={mode ? `Edit ${mode.name} mode` : 'New mode'}
+        className="w-full max-w-lg max-h-[90vh] overflow-y-auto p-6 rounded-2xl bg-[#0f1424] border border-white/10 shadow-2xl"
+      >
+        <div className="flex items-center justify-between mb-5">
+          <h2 className="text-lg font-semibold text-white">{mode ? 'Edit mode' : 'New mode'}</h2>
+          <button onClick={onClose} aria-label="Close" className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-white/5">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <label className="block text-xs text-gray-400 mb-1" htmlFor="mode-name">Name</label>
+        <input
+          id="mode-name"
+          type="text"
+          value={fields.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder="Interview Prep"
+          maxLength={30}
+          className="w-full mb-4 bg-black/40 border border-white/10 rounded-lg px-3 py-2 text-sm text-white outline-none focus:border-purple-500/50"
+        />
+
+        <span className="block text-xs text-gray-400 mb-1">Icon</span>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {Object.entries(MODE_ICONS).map(([key, Icon]) => (
+            <button
+              key={key}
+              onClick={() => update({ icon: key })}
+              aria-label={`Icon ${key}`}
+              aria-pressed={fields.icon === key}
+              className={`p-2 rounded-lg border transition-all ${fields.icon === key
+                ? 'border-purple-500/60 bg-white/10'
+                : 'border-white/10 hover:bg-white/5'
+                }`}
+            >
+              <Icon className={`w-5 h-5 ${fields.icon === key ? accent.iconColor : 'text-gray-400'}`} />
+            </button>
+          ))}
+        </div>
+
+        <span className="block text-xs text-gray-400 mb-1">Accent colour</span>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {Object.entries(ACCENT_COLORS).map(([key, color]) => (
+            <button
+              key={key}
+              onClick={() => update({ accent: key })}
+              aria-label={color.label}
+              aria-pressed={fields.accent === key}
+              title={color.label}
+              className={`w-7 h-7 rounded-full ${color.swatch} transition-transform ${fields.accent === key ? 'ring-2 ring-white ring-offset-2 ring-offset-[#0f1424] scale-110' : 'opacity-70 hover:opacity-100'}`}
+            />
+          ))}
+        </div>
+
+        <label className="block text-xs text-gray-400 mb-1" htmlFor="mode-prompt">System prompt</label>
+        <textarea
+          id="mode-prompt"
+          value={fields.systemPrompt}
+          onChange={(e) => update({ systemPrompt: e.target.value })}
+          rows={10}
+          className="w-full mb-4 bg-black/40 border border-white/10 rounded-lg px-3 py-2 text-sm text-white font-mono outline-none focus:border-purple-500/50 resize-y"
+        />
+
+        <div className="grid grid-cols-2 gap-4 mb-5">
+          <div>
+            <label className="flex justify-between text-xs text-gray-400 mb-1" htmlFor="mode-temperature">
+              <span>Temperature</span>
+              <span>{Number(fields.temperature).toFixed(1)}</span>
+            </label>
+            <input
+              id="mode-temperature"
+              type="range"
+              min="0"
+              max="2"
+              step="0.1"
+              value={fields.temperature}
+              onChange={(e) => update({ temperature: Number(e.target.value) })}
+              className="w-full accent-purple-500"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-400 mb-1" htmlFor="mode-model">Model</label>
+            <select
+              id="mode-model"
+              value={fields.model || ''}
+              onChange={(e) => update({ model: e.target.value || null })}
+              className="w-full bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:border-purple-500/50"
+            >
+              <option value="">Default</option>
+              {modelOptions.map((model) => (
+                <option key={model} value={model}>{model}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {error && <p className="mb-4 text-sm text-red-400">{error}</p>}
+
+        <div className="flex items-center justify-between gap-3">
+          {mode ? (
+            <button
+              onClick={handleDelete}
+              className="px-3 py-2 rounded-lg text-sm text-red-400 hover:bg-red-500/10 transition-colors"
+            >
+              {confirmDelete ? 'Delete mode and its chats?' : 'Delete'}
+            </button>
+          ) : <span />}
+          <div className="flex gap-2">
+            <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm text-gray-300 hover:bg-white/5 transition-colors">
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-gradient-to-r from-purple-600 to-[#22d3ee] text-white shadow-lg hover:shadow-xl transition-all"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
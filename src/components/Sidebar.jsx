@@ -1,42 +1,53 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import SidebarItem from './SidebarItem';
-import { StudentIcon, CodeIcon, LeafIcon, TargetIcon, SparklesIcon } from './Icons';
+import ModeEditor from './ModeEditor';
+import ExportDialog from './ExportDialog';
+import AnalyticsDashboard from './AnalyticsDashboard';
+import ChatSearch from './ChatSearch';
+import ChatList from './ChatList';
+import { SparklesIcon, SlidersIcon } from './Icons';
+import { getModeIcon } from './modeIcons';
+import { getModes, getModeName, DEFAULT_MODE_ID } from '../utils/modes';
 import {
-  getChatHistory,
   createNewChat,
   deleteChat,
-  getDailyUsage,
-  MAX_DAILY_MESSAGES
+  getDailyUsage
 } from '../utils/storage';
+import { importChatBundle } from '../utils/chatExport';
+import { useChatHistory } from '../hooks/useChats';
 
-export default function Sidebar({ isSidebarOpen, setIsSidebarOpen, activeMode, setActiveMode, currentChatId, onChatChange }) {
-  const [chatHistory, setChatHistory] = useState([]);
+export default function Sidebar({ isSidebarOpen, setIsSidebarOpen, activeMode, setActiveMode, currentChatId, onChatChange, onOpenSearchResult }) {
+  const chats = useChatHistory();
+  // The mode's chats, most recently active first
+  const chatHistory = useMemo(() => chats.filter(chat => chat.mode === activeMode), [chats, activeMode]);
   const [dailyUsage, setDailyUsage] = useState(getDailyUsage());
+  const [modes, setModes] = useState(getModes);
+  // null: closed, 'new': creating, otherwise the custom mode being edited
+  const [editingMode, setEditingMode] = useState(null);
+  // Chat ids preselected in the export dialog, null while it is closed
+  const [exportSelection, setExportSelection] = useState(null);
+  const [importStatus, setImportStatus] = useState(null);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const importInputRef = useRef(null);
+  // Search results replace the modes and history while a query is typed
+  const [isSearching, setIsSearching] = useState(false);
 
-  // Load chat history and filter by current mode
   useEffect(() => {
-    const loadHistory = () => {
-      const allChats = getChatHistory();
-      // Filter chats by current mode
-      const modeChats = allChats.filter(chat => chat.mode === activeMode);
-      setChatHistory(modeChats);
-    };
-
-    loadHistory();
-    
-    // Reload on mode change or periodically
-    const interval = setInterval(() => {
-      loadHistory();
-      setDailyUsage(getDailyUsage());
-    }, 1000);
-
-    return () => clearInterval(interval);
-  }, [activeMode]);
+    const handleModesChange = () => setModes(getModes());
+    window.addEventListener('ryunex-modes', handleModesChange);
+    return () => window.removeEventListener('ryunex-modes', handleModesChange);
+  }, []);
+
+  // Every server reply updates the cached usage
+  useEffect(() => {
+    const handleUsage = () => setDailyUsage(getDailyUsage());
+    window.addEventListener('ryunex-usage', handleUsage);
+    return () => window.removeEventListener('ryunex-usage', handleUsage);
+  }, []);
 
   const handleNewChat = () => {
     const newChat = createNewChat(activeMode);
-    setChatHistory(prev => [newChat, ...prev]);
     if (onChatChange) {
       onChatChange(newChat.id);
     }
@@ -48,24 +59,28 @@ export default function Sidebar({ isSidebarOpen, setIsSidebarOpen, activeMode, s
     }
   };
 
+  // App opens another chat when the current one is deleted
   const handleDeleteChat = (e, chatId) => {
     e.stopPropagation();
-    const updatedChats = deleteChat(chatId);
-    const modeChats = updatedChats.filter(chat => chat.mode === activeMode);
-    setChatHistory(modeChats);
-
-    // If deleted chat was current, switch to first available or create new
-    if (chatId === currentChatId) {
-      if (modeChats.length > 0) {
-        if (onChatChange) onChatChange(modeChats[0].id);
-      } else {
-        handleNewChat();
-      }
+    deleteChat(chatId);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { added, skipped } = await importChatBundle(file);
+      const skippedNote = skipped > 0 ? `, ${skipped} already here` : '';
+      setImportStatus({ type: 'success', text: `Imported ${added} chat${added === 1 ? '' : 's'}${skippedNote}.` });
+    } catch (error) {
+      setImportStatus({ type: 'error', text: error.message });
     }
   };
 
-  // Calculate usage percentage
-  const usagePercent = Math.min((dailyUsage.count / MAX_DAILY_MESSAGES) * 100, 100);
+  // Calculate usage percentage from the server-reported limit
+  const usagePercent = dailyUsage.limit > 0 ? Math.min((dailyUsage.count / dailyUsage.limit) * 100, 100) : 100;
 
   return (
     <>
@@ -86,59 +101,81 @@ export default function Sidebar({ isSidebarOpen, setIsSidebarOpen, activeMode, s
             New Chat
           </motion.button>
 
-          {/* Mode Selection */}
-          <div className="mb-6">
-            <h3 className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-4 px-2">Modes</h3>
-            <div onClick={() => setActiveMode('Student')}>
-              <SidebarItem icon={StudentIcon} label="Student Mode" active={activeMode === 'Student'} />
-            </div>
-            <div onClick={() => setActiveMode('Coder')}>
-              <SidebarItem icon={CodeIcon} label="Coder Mode" active={activeMode === 'Coder'} />
-            </div>
-            <div onClick={() => setActiveMode('Chill')}>
-              <SidebarItem icon={LeafIcon} label="Chill Mode" active={activeMode === 'Chill'} />
-            </div>
-            <div onClick={() => setActiveMode('Solance')}>
-              <SidebarItem icon={TargetIcon} label="Solance Mode" active={activeMode === 'Solance'} />
-            </div>
-          </div>
+          <ChatSearch onOpenResult={onOpenSearchResult} onSearchingChange={setIsSearching} />
 
-          {/* Chat History */}
-          <div className="mb-4">
-            <h3 className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-4 px-2">History</h3>
-            <div className="space-y-1">
-              {chatHistory.length === 0 ? (
-                <p className="text-xs text-gray-500 px-2">No chat history for {activeMode} mode</p>
-              ) : (
-                chatHistory.map((chat) => (
-                  <motion.div
-                    key={chat.id}
-                    initial={{ opacity: 0, x: -20 }}
-                    animate={{ opacity: 1, x: 0 }}
-                    whileHover={{ x: 2 }}
-                    onClick={() => handleChatClick(chat.id)}
-                    className={`p-3 rounded-lg cursor-pointer flex justify-between items-center group transition-all
-                      ${
-                        chat.id === currentChatId
-                          ? 'bg-white/10 border border-purple-500/50 shadow-[0_0_15px_rgba(147,51,234,0.2)]'
-                          : 'hover:bg-white/5 hover:border-purple-500/30 border border-transparent'
-                      }`}
+          {!isSearching && (
+            <>
+              {/* Mode Selection */}
+              <div className="mb-6">
+                <h3 className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-4 px-2">Modes</h3>
+                {modes.map((mode) => (
+                  <div key={mode.id} onClick={() => setActiveMode(mode.id)} className="relative group">
+                    <SidebarItem icon={getModeIcon(mode.icon)} label={`${mode.name} Mode`} active={activeMode === mode.id} />
+                    {!mode.builtIn && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setEditingMode(mode);
+                        }}
+                        className="absolute right-2 top-1/2 -translate-y-1/2 p-1.5 rounded-md opacity-0 group-hover:opacity-100 focus:opacity-100 text-gray-400 hover:text-white hover:bg-white/10 transition-opacity"
+                        title={`Edit ${mode.name} mode`}
+                      >
+                        <SlidersIcon className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+                <button
+                  onClick={() => setEditingMode('new')}
+                  className="w-full mt-1 px-4 py-2 rounded-xl text-sm text-gray-400 hover:text-white hover:bg-white/5 border border-dashed border-white/10 transition-all"
+                >
+                  + New mode
+                </button>
+              </div>
+
+              {/* Chat History */}
+              <div className="mb-4">
+                <ChatList
+                  chats={chatHistory}
+                  currentChatId={currentChatId}
+                  modeName={getModeName(activeMode)}
+                  onSelect={handleChatClick}
+                  onDelete={handleDeleteChat}
+                  onExport={(chatId) => setExportSelection([chatId])}
+                />
+                <div className="flex gap-2 mt-3">
+                  <button
+                    onClick={() => setExportSelection(currentChatId ? [currentChatId] : [])}
+                    className="flex-1 px-3 py-2 rounded-lg text-xs text-gray-400 hover:text-white hover:bg-white/5 border border-white/10 transition-all"
                   >
-                    <span className="truncate text-sm max-w-[160px] text-gray-300">
-                      {chat.title || `Chat ${new Date(chat.createdAt).toLocaleTimeString()}`}
-                    </span>
-                    <button
-                      onClick={(e) => handleDeleteChat(e, chat.id)}
-                      className="opacity-0 group-hover:opacity-100 text-red-400 hover:text-red-500 transition-opacity px-2 text-lg"
-                      title="Delete Chat"
-                    >
-                      ×
-                    </button>
-                  </motion.div>
-                ))
-              )}
-            </div>
-          </div>
+                    Export
+                  </button>
+                  <button
+                    onClick={() => importInputRef.current?.click()}
+                    className="flex-1 px-3 py-2 rounded-lg text-xs text-gray-400 hover:text-white hover:bg-white/5 border border-white/10 transition-all"
+                  >
+                    Import
+                  </button>
+                  <input
+                    ref={importInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleImportFile}
+                    className="hidden"
+                  />
+                </div>
+                {importStatus && (
+                  <p
+                    onClick={() => setImportStatus(null)}
+                    className={`mt-2 px-2 text-xs cursor-pointer ${importStatus.type === 'error' ? 'text-red-400' : 'text-green-400'}`}
+                    title="Dismiss"
+                  >
+                    {importStatus.text}
+                  </p>
+                )}
+              </div>
+            </>
+          )}
         </div>
 
         {/* Usage & Footer */}
@@ -147,7 +184,7 @@ export default function Sidebar({ isSidebarOpen, setIsSidebarOpen, activeMode, s
             <div className="flex justify-between items-end mb-2">
               <span className="text-xs font-medium text-gray-400">Daily Usage</span>
               <span className="text-[10px] text-[#22d3ee] font-bold">
-                {dailyUsage.count} / {MAX_DAILY_MESSAGES}
+                {dailyUsage.count} / {dailyUsage.limit}
               </span>
             </div>
             <div className="w-full h-1.5 bg-gray-800 rounded-full overflow-hidden">
@@ -167,10 +204,37 @@ export default function Sidebar({ isSidebarOpen, setIsSidebarOpen, activeMode, s
                 Limit reached. Resets at midnight.
               </p>
             )}
+            <button
+              onClick={() => setShowAnalytics(true)}
+              className="w-full mt-3 px-3 py-2 rounded-lg text-xs text-gray-400 hover:text-white hover:bg-white/5 border border-white/10 transition-all"
+            >
+              Usage statistics
+            </button>
           </div>
         </div>
       </aside>
 
+      {editingMode && (
+        <ModeEditor
+          mode={editingMode === 'new' ? null : editingMode}
+          onClose={() => setEditingMode(null)}
+          onSaved={(modeId) => {
+            setEditingMode(null);
+            setActiveMode(modeId);
+          }}
+          onDeleted={(modeId) => {
+            setEditingMode(null);
+            if (modeId === activeMode) setActiveMode(DEFAULT_MODE_ID);
+          }}
+        />
+      )}
+
+      {exportSelection && (
+        <ExportDialog initialSelection={exportSelection} onClose={() => setExportSelection(null)} />
+      )}
+
+      {showAnalytics && <AnalyticsDashboard onClose={() => setShowAnalytics(false)} />}
+
       {/* Overlay for mobile sidebar */}
       {isSidebarOpen && (
         <div
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { XIcon } from './Icons';
+import { getSpeechSettings, saveSpeechSettings, loadVoices } from '../utils/speechSynthesis';
+import { getModeName } from '../utils/modes';
+
+/**
+ * Read-aloud settings for one mode: voice, rate, pitch and auto-speak.
+ */
+export default function SpeechSettings({ mode, onClose }) {
+  const [settings, setSettings] = useState(() => getSpeechSettings(mode));
+  const [voices, setVoices] = useState([]);
+
+  useEffect(() => {
+    setSettings(getSpeechSettings(mode));
+  }, [mode]);
+
+  useEffect(() => {
+    let isMounted = true;
+    loadVoices().then((list) => {
+      if (isMounted) setVoices(list);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const update = (changes) => {
+    setSettings(saveSpeechSettings(mode, changes));
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: 10 }}
+      className="absolute bottom-full left-0 mb-3 w-72 p-4 rounded-2xl bg-[#0f1424]/95 backdrop-blur-xl border border-white/10 shadow-2xl z-30"
+    >
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-white">Read aloud • {getModeName(mode)}</h3>
+        <button onClick={onClose} aria-label="Close voice settings" className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-white/5">
+          <XIcon className="w-4 h-4" />
+        </button>
+      </div>
+
+      <label className="block text-xs text-gray-400 mb-1" htmlFor="speech-voice">Voice</label>
+      <select
+        id="speech-voice"
+        value={settings.voiceURI || ''}
+        onChange={(e) => update({ voiceURI: e.target.value || null })}
+        className="w-full mb-3 bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:border-[#22d3ee]/50"
+      >
+        <option value="">Automatic (Indian English if available)</option>
+        {voices.map((voice) => (
+          <option key={voice.voiceURI} value={voice.voiceURI}>
+            {voice.name} ({voice.lang})
+          </option>
+        ))}
+      </select>
+
+      <label className="flex justify-between text-xs text-gray-400 mb-1" htmlFor="speech-rate">
+        <span>Speed</span>
+        <span>{settings.rate.toFixed(2)}×</span>
+      </label>
+      <input
+        id="speech-rate"
+        type="range"
+        min="0.5"
+        max="1.5"
+        step="0.05"
+        value={settings.rate}
+        onChange={(e) => update({ rate: Number(e.target.value) })}
+        className="w-full mb-3 accent-[#22d3ee]"
+      />
+
+      <label className="flex justify-between text-xs text-gray-400 mb-1" htmlFor="speech-pitch">
+        <span>Pitch</span>
+        <span>{settings.pitch.toFixed(2)}</span>
+      </label>
+      <input
+        id="speech-pitch"
+        type="range"
+        min="0.5"
+        max="1.5"
+        step="0.05"
+        value={settings.pitch}
+        onChange={(e) => update({ pitch: Number(e.target.value) })}
+        className="w-full mb-3 accent-[#22d3ee]"
+      />
+
+      <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={settings.autoSpeak}
+          onChange={(e) => update({ autoSpeak: e.target.checked })}
+          className="accent-[#22d3ee]"
+        />
+        Read new replies aloud in {mode} mode
+      </label>
+    </motion.div>
+  );
+}
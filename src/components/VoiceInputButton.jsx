@@ -0,0 +1,158 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { MicIcon } from './Icons';
+import { getPreferences, savePreferences } from '../utils/storage';
+import {
+  VOICE_LANGUAGES,
+  createBrowserRecognizer,
+  isSpeechRecognitionSupported
+} from '../utils/speechRecognition';
+
+// Holding the button longer than this is push-to-talk (stops on release); a shorter press toggles dictation
+const PUSH_TO_TALK_THRESHOLD_MS = 400;
+
+const UNSUPPORTED_MESSAGE = "Voice input isn't supported in this browser. Try Chrome or Edge, or type your message.";
+
+/**
+ * Mic button for dictation. Tap to start and tap again to stop, or hold to talk and release to stop.
+ * Interim transcripts are written into the input as the user speaks, after whatever was already typed.
+ *
+ * @param {Object} props
+ * @param {string} props.value - Current input text
+ * @param {(text: string) => void} props.onChange - Receives the input text including the transcript
+ * @param {(message: string) => void} props.onMessage - Shows unsupported-browser and error messages
+ * @param {(isListening: boolean) => void} [props.onListeningChange]
+ * @param {boolean} [props.disabled] - Also stops an active dictation
+ * @param {import('../utils/speechRecognition').RecognizerFactory} [props.createRecognizer] - Defaults to the browser recognizer
+ * @param {boolean} [props.isSupported] - Defaults to feature detection; pass true along with a fake recognizer
+ */
+export default function VoiceInputButton({
+  value,
+  onChange,
+  onMessage,
+  onListeningChange,
+  disabled = false,
+  createRecognizer = createBrowserRecognizer,
+  isSupported = isSpeechRecognitionSupported()
+}) {
+  const [isListening, setIsListening] = useState(false);
+  const [language, setLanguage] = useState(() => getPreferences().voiceInputLanguage);
+  const recognizerRef = useRef(null);
+  const baseTextRef = useRef('');
+  const pressStartRef = useRef(0);
+
+  const setListening = (listening) => {
+    setIsListening(listening);
+    if (onListeningChange) onListeningChange(listening);
+  };
+
+  const start = () => {
+    if (!isSupported) {
+      onMessage(UNSUPPORTED_MESSAGE);
+      return;
+    }
+
+    // Dictation continues after what the user already typed
+    baseTextRef.current = value.trim();
+
+    try {
+      const recognizer = createRecognizer({
+        lang: language,
+        onResult: ({ text }) => {
+          const base = baseTextRef.current;
+          onChange(base && text ? `${base} ${text}` : base || text);
+        },
+        onError: ({ message }) => onMessage(message),
+        onEnd: () => {
+          if (recognizerRef.current === recognizer) {
+            recognizerRef.current = null;
+            setListening(false);
+          }
+        }
+      });
+      recognizerRef.current = recognizer;
+      recognizer.start();
+      setListening(true);
+    } catch (error) {
+      console.error('Voice input failed to start:', error);
+      recognizerRef.current = null;
+      onMessage(UNSUPPORTED_MESSAGE);
+    }
+  };
+
+  const stop = () => {
+    recognizerRef.current?.stop();
+  };
+
+  // Stop listening when the input gets disabled (message sent, limit reached)
+  useEffect(() => {
+    if (disabled) recognizerRef.current?.abort();
+  }, [disabled]);
+
+  // Never leave the microphone on after unmount
+  useEffect(() => () => recognizerRef.current?.abort(), []);
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0 || disabled) return;
+    if (isListening) {
+      stop();
+      return;
+    }
+    pressStartRef.current = Date.now();
+    start();
+  };
+
+  const handlePointerUp = () => {
+    // Long press: push-to-talk ends on release. Short press: keep listening until the next tap.
+    if (pressStartRef.current && Date.now() - pressStartRef.current > PUSH_TO_TALK_THRESHOLD_MS) {
+      stop();
+    }
+    pressStartRef.current = 0;
+  };
+
+  // Keyboard activation (Enter/Space) toggles, there's no press to hold
+  const handleClick = (e) => {
+    if (e.detail !== 0 || disabled) return;
+    if (isListening) stop();
+    else start();
+  };
+
+  const cycleLanguage = () => {
+    const index = VOICE_LANGUAGES.findIndex(lang => lang.code === language);
+    const next = VOICE_LANGUAGES[(index + 1) % VOICE_LANGUAGES.length].code;
+    setLanguage(next);
+    savePreferences({ voiceInputLanguage: next });
+  };
+
+  const currentLanguage = VOICE_LANGUAGES.find(lang => lang.code === language) || VOICE_LANGUAGES[0];
+
+  return (
+    <div className="flex items-center">
+      <button
+        onClick={cycleLanguage}
+        disabled={isListening}
+        aria-label={`Voice input language: ${currentLanguage.name}`}
+        title={`Voice input language: ${currentLanguage.name} (click to switch)`}
+        className="px-1.5 py-1 rounded-md text-[10px] font-semibold text-gray-500 hover:text-white hover:bg-white/5 transition-all disabled:opacity-50"
+      >
+        {currentLanguage.label}
+      </button>
+      <button
+        onPointerDown={handlePointerDown}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        onClick={handleClick}
+        disabled={disabled}
+        aria-pressed={isListening}
+        aria-label={isListening ? 'Stop voice input' : 'Start voice input'}
+        title={isSupported ? 'Tap to dictate, or hold to talk' : UNSUPPORTED_MESSAGE}
+        className={`relative p-2 rounded-full transition-all disabled:opacity-50 disabled:cursor-not-allowed ${isListening
+          ? 'text-red-400 bg-red-500/10'
+          : 'text-gray-400 hover:text-white hover:bg-white/5'
+          }`}
+      >
+        {isListening && <span className="absolute inset-0 rounded-full border border-red-400/60 animate-ping"></span>}
+        <MicIcon className="w-5 h-5" />
+      </button>
+    </div>
+  );
+}
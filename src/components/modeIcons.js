@@ -0,0 +1,15 @@
+import { StudentIcon, CodeIcon, LeafIcon, TargetIcon, BrainIcon, BookIcon, SparklesIcon, MicIcon } from './Icons';
+
+// Icons a mode can use, by the key stored on the mode (see utils/modes.js)
+export const MODE_ICONS = {
+  student: StudentIcon,
+  code: CodeIcon,
+  leaf: LeafIcon,
+  target: TargetIcon,
+  brain: BrainIcon,
+  book: BookIcon,
+  sparkles: SparklesIcon,
+  mic: MicIcon
+};
+
+export const getModeIcon = (key) => MODE_ICONS[key] || SparklesIcon;
@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeToChats, getChatHistory, getChatById } from '../utils/storage';
+
+/**
+ * Every chat, most recently active first. Re-renders after any change, in this tab or another.
+ * @returns {ReadonlyArray<Object>}
+ */
+export const useChatHistory = () => useSyncExternalStore(subscribeToChats, getChatHistory);
+
+/**
+ * One chat, kept up to date like useChatHistory().
+ * @param {number|null} chatId
+ * @returns {Object|null} - null while there is no such chat
+ */
+export const useChat = (chatId) => useSyncExternalStore(subscribeToChats, () => getChatById(chatId) ?? null);
@@ -2,9 +2,16 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { initStorage } from './utils/storage'
+import { startOutbox } from './utils/outbox'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Chats are read from IndexedDB once, before anything asks for them
+initStorage().finally(() => {
+  // Sends questions queued while offline or while the server was down
+  startOutbox()
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})
@@ -0,0 +1,183 @@
+// Usage analytics, computed on the device from the chats themselves. Every AI reply carries
+// `metrics` recorded by callGeminiAPI (latency, model, failovers, tokens); replies saved
+// before that existed still count as messages, just without those numbers.
+
+export const ANALYTICS_RANGES = [
+  { id: '7d', label: '7 days', days: 7 },
+  { id: '30d', label: '30 days', days: 30 },
+  { id: '90d', label: '90 days', days: 90 },
+  { id: 'all', label: 'All time', days: null }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Outcomes counted as errors; a hit daily limit and a stopped reply are not the keys' fault.
+// 'busy' was recorded before failures had error codes.
+const ERROR_OUTCOMES = ['error', 'busy'];
+
+const CSV_COLUMNS = [
+  'date', 'time', 'chatId', 'chatTitle', 'mode', 'role', 'outcome', 'errorCode', 'model', 'provider',
+  'latencyMs', 'firstChunkMs', 'failovers', 'inputTokens', 'outputTokens'
+];
+
+/**
+ * Local calendar day, e.g. "2026-03-14".
+ */
+const toDateKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * How a reply ended. Replies saved without metrics are read from their flags.
+ */
+const getOutcome = (message) => {
+  if (message.metrics?.outcome) return message.metrics.outcome;
+  if (message.isError) return 'error';
+  return message.isPartial ? 'cancelled' : 'success';
+};
+
+/**
+ * One row per message sent or received in the range, every branch included, oldest first.
+ *
+ * @param {Array<Object>} chats
+ * @param {string} rangeId - One of ANALYTICS_RANGES
+ * @param {Date} [now]
+ * @returns {Array<Object>}
+ */
+export const collectMessageRows = (chats, rangeId, now = new Date()) => {
+  const { days } = ANALYTICS_RANGES.find(range => range.id === rangeId) || ANALYTICS_RANGES[0];
+  const since = days === null ? 0 : startOfDay(now).getTime() - (days - 1) * DAY_MS;
+  const rows = [];
+
+  for (const chat of chats) {
+    for (const message of chat.messages || []) {
+      const timestamp = new Date(message.timestamp || chat.createdAt);
+      if (Number.isNaN(timestamp.getTime()) || timestamp.getTime() < since) continue;
+
+      const isReply = message.role === 'ai';
+      const metrics = (isReply && message.metrics) || {};
+      rows.push({
+        timestamp,
+        chatId: chat.id,
+        chatTitle: chat.title || '',
+        mode: chat.mode,
+        role: isReply ? 'ai' : 'user',
+        outcome: isReply ? getOutcome(message) : null,
+        errorCode: metrics.errorCode || message.error?.code || null,
+        model: isReply ? metrics.modelUsed || message.modelUsed || null : null,
+        provider: metrics.providerUsed ?? null,
+        latencyMs: metrics.latencyMs ?? null,
+        firstChunkMs: metrics.firstChunkMs ?? null,
+        failovers: metrics.failovers ?? 0,
+        inputTokens: metrics.inputTokens ?? null,
+        outputTokens: metrics.outputTokens ?? null
+      });
+    }
+  }
+
+  return rows.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+const average = (values) => (values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+/**
+ * Counts of `key(row)` over the rows, largest first.
+ */
+const countBy = (rows, key) => {
+  const counts = new Map();
+  for (const row of rows) {
+    const value = key(row);
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts].map(([label, count]) => ({ label, count })).sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Totals and chart series for the dashboard.
+ *
+ * @param {Array<Object>} rows - From collectMessageRows()
+ * @param {string} rangeId
+ * @param {Date} [now]
+ * @returns {{totals: Object, perDay: Array<{date: string, sent: number, errors: number, tokens: number}>, perMode: Array<{label: string, count: number}>, perModel: Array<{label: string, count: number}>}}
+ */
+export const summarizeRows = (rows, rangeId, now = new Date()) => {
+  const { days } = ANALYTICS_RANGES.find(range => range.id === rangeId) || ANALYTICS_RANGES[0];
+  const sent = rows.filter(row => row.role === 'user');
+  const replies = rows.filter(row => row.role === 'ai');
+  const answered = replies.filter(row => row.outcome === 'success');
+
+  // Every day of the range, so quiet days show as gaps; "all time" starts at the first message
+  const today = startOfDay(now);
+  const first = days === null ? startOfDay(rows[0]?.timestamp || now) : new Date(today.getTime() - (days - 1) * DAY_MS);
+  const perDay = [];
+  const byDate = new Map();
+  for (let day = first; day <= today; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    const entry = { date: toDateKey(day), sent: 0, errors: 0, tokens: 0 };
+    perDay.push(entry);
+    byDate.set(entry.date, entry);
+  }
+  for (const row of rows) {
+    const entry = byDate.get(toDateKey(row.timestamp));
+    if (!entry) continue;
+    if (row.role === 'user') entry.sent += 1;
+    if (ERROR_OUTCOMES.includes(row.outcome)) entry.errors += 1;
+    entry.tokens += (row.inputTokens || 0) + (row.outputTokens || 0);
+  }
+
+  return {
+    totals: {
+      sent: sent.length,
+      replies: replies.length,
+      errors: replies.filter(row => ERROR_OUTCOMES.includes(row.outcome)).length,
+      limitHits: replies.filter(row => row.outcome === 'limit').length,
+      failovers: replies.reduce((sum, row) => sum + row.failovers, 0),
+      averageLatencyMs: average(answered.map(row => row.latencyMs).filter(value => value !== null)),
+      averageFirstChunkMs: average(answered.map(row => row.firstChunkMs).filter(value => value !== null)),
+      inputTokens: replies.reduce((sum, row) => sum + (row.inputTokens || 0), 0),
+      outputTokens: replies.reduce((sum, row) => sum + (row.outputTokens || 0), 0)
+    },
+    perDay,
+    perMode: countBy(sent, row => row.mode),
+    perModel: countBy(answered, row => row.model)
+  };
+};
+
+/**
+ * Quotes a CSV cell when needed. Cells that spreadsheets would run as formulas are prefixed with '.
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The rows as CSV, one line per message, for spreadsheets.
+ * @param {Array<Object>} rows - From collectMessageRows()
+ * @returns {string}
+ */
+export const toCsv = (rows) => [
+  CSV_COLUMNS.join(','),
+  ...rows.map(row => [
+    toDateKey(row.timestamp),
+    row.timestamp.toTimeString().slice(0, 8),
+    row.chatId,
+    row.chatTitle,
+    row.mode,
+    row.role,
+    row.outcome,
+    row.errorCode,
+    row.model,
+    row.provider,
+    row.latencyMs,
+    row.firstChunkMs,
+    row.role === 'ai' ? row.failovers : null,
+    row.inputTokens,
+    row.outputTokens
+  ].map(toCsvCell).join(','))
+].join('\r\n');
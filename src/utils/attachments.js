@@ -0,0 +1,71 @@
+// Image attachment helpers: validation and client-side downscaling before upload
+
+// Longest side of an uploaded image, in pixels
+const MAX_IMAGE_DIMENSION = 1280;
+
+// JPEG quality used when re-encoding
+const IMAGE_QUALITY = 0.82;
+
+// Originals larger than this are rejected before decoding
+const MAX_ORIGINAL_BYTES = 20 * 1024 * 1024;
+
+export const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+
+/**
+ * Whether a file is an image we can attach.
+ */
+export const isImageFile = (file) => Boolean(file?.type?.startsWith('image/'));
+
+/**
+ * Data URL for showing an attachment in an <img>.
+ */
+export const getAttachmentUrl = (attachment) => `data:${attachment.mimeType};base64,${attachment.data}`;
+
+/**
+ * Decodes an image file, downscales it to MAX_IMAGE_DIMENSION and re-encodes it as JPEG.
+ * Keeps uploads small and strips EXIF data (including location) from photos.
+ *
+ * @param {File} file - Image picked, pasted or dropped by the user
+ * @returns {Promise<{id: string, type: 'image', name: string, mimeType: string, data: string, width: number, height: number}>}
+ */
+export const prepareImageAttachment = async (file) => {
+  if (!isImageFile(file)) {
+    throw new Error(`${file.name || 'This file'} is not an image.`);
+  }
+  if (file.size > MAX_ORIGINAL_BYTES) {
+    throw new Error(`${file.name || 'This image'} is larger than 20 MB.`);
+  }
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error(`${file.name || 'This image'} could not be read. Try a JPEG or PNG.`);
+  }
+
+  const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // Transparent PNGs would turn black as JPEG
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const dataUrl = canvas.toDataURL('image/jpeg', IMAGE_QUALITY);
+
+  return {
+    id: crypto.randomUUID(),
+    type: 'image',
+    name: file.name || 'pasted-image.jpg',
+    mimeType: 'image/jpeg',
+    data: dataUrl.slice(dataUrl.indexOf(',') + 1),
+    width,
+    height
+  };
+};
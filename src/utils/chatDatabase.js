@@ -0,0 +1,203 @@
+// IndexedDB persistence for chats: one record per chat and one per message,
+// so saving a reply only writes what changed instead of the whole history.
+
+const DB_NAME = 'ryunex';
+const DB_VERSION = 1;
+
+const STORES = {
+  CHATS: 'chats',
+  MESSAGES: 'messages',
+  META: 'meta'
+};
+
+/**
+ * Schema migrations by version. Each one upgrades the database from the previous version,
+ * so a browser that skipped versions runs every step in order. Never edit a shipped step;
+ * add a new version instead.
+ */
+const SCHEMA_MIGRATIONS = {
+  1: (db) => {
+    // Chat settings and metadata, without messages
+    db.createObjectStore(STORES.CHATS, { keyPath: 'id' });
+
+    // Messages are keyed by chat so one chat's messages can be read or dropped together
+    const messages = db.createObjectStore(STORES.MESSAGES, { keyPath: ['chatId', 'id'] });
+    messages.createIndex('chatId', 'chatId');
+
+    // Flags such as the one-time legacy import
+    db.createObjectStore(STORES.META, { keyPath: 'key' });
+  }
+};
+
+let databasePromise = null;
+
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Resolves once an IndexedDB request succeeds.
+ */
+const whenDone = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Resolves once a transaction has committed.
+ */
+const whenCommitted = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+/**
+ * Opens the database, running any schema migrations it is missing.
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+          SCHEMA_MIGRATIONS[version](request.result, request.transaction);
+        }
+      };
+      request.onsuccess = () => {
+        // Another tab is upgrading to a newer schema; let it
+        request.result.onversionchange = () => request.result.close();
+        resolve(request.result);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('Chat database upgrade is waiting for other tabs to close.');
+    }).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+};
+
+const splitChat = ({ messages = [], ...chat }) => ({
+  chat,
+  messages: messages.map((message, position) => ({ ...message, chatId: chat.id, position }))
+});
+
+/**
+ * Loads every chat with its messages, newest chat first.
+ * @returns {Promise<Array<Object>>}
+ */
+export const readAllChats = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORES.CHATS, STORES.MESSAGES], 'readonly');
+  const [chats, messages] = await Promise.all([
+    whenDone(transaction.objectStore(STORES.CHATS).getAll()),
+    whenDone(transaction.objectStore(STORES.MESSAGES).getAll())
+  ]);
+
+  const messagesByChat = new Map();
+  for (const { chatId, position, ...message } of messages) {
+    if (!messagesByChat.has(chatId)) messagesByChat.set(chatId, []);
+    messagesByChat.get(chatId).push({ position, message });
+  }
+
+  return chats
+    .map(chat => ({
+      ...chat,
+      messages: (messagesByChat.get(chat.id) || [])
+        .sort((a, b) => a.position - b.position)
+        .map(entry => entry.message)
+    }))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+/**
+ * Loads one chat with its messages.
+ * @returns {Promise<Object|null>} - null when the chat no longer exists
+ */
+export const readChat = async (chatId) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORES.CHATS, STORES.MESSAGES], 'readonly');
+  const [chat, messages] = await Promise.all([
+    whenDone(transaction.objectStore(STORES.CHATS).get(chatId)),
+    whenDone(transaction.objectStore(STORES.MESSAGES).index('chatId').getAll(chatId))
+  ]);
+  if (!chat) return null;
+
+  return {
+    ...chat,
+    messages: messages
+      .sort((a, b) => a.position - b.position)
+      .map((record) => {
+        const message = { ...record };
+        delete message.chatId;
+        delete message.position;
+        return message;
+      })
+  };
+};
+
+/**
+ * Saves a chat's settings and metadata (not its messages).
+ */
+export const putChatRecord = async (chat) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.CHATS, 'readwrite');
+  transaction.objectStore(STORES.CHATS).put(splitChat(chat).chat);
+  return whenCommitted(transaction);
+};
+
+/**
+ * Writes the given messages of a chat and deletes the ones that were removed.
+ * @param {number} chatId
+ * @param {Array<{message: Object, position: number}>} changed - Messages that are new, edited or moved
+ * @param {Array<number>} removedIds - Ids of messages no longer in the chat
+ */
+export const putMessageRecords = async (chatId, changed, removedIds = []) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.MESSAGES, 'readwrite');
+  const store = transaction.objectStore(STORES.MESSAGES);
+  for (const { message, position } of changed) {
+    store.put({ ...message, chatId, position });
+  }
+  for (const id of removedIds) {
+    store.delete([chatId, id]);
+  }
+  return whenCommitted(transaction);
+};
+
+/**
+ * Deletes a chat and all of its messages.
+ */
+export const deleteChatRecord = async (chatId) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORES.CHATS, STORES.MESSAGES], 'readwrite');
+  transaction.objectStore(STORES.CHATS).delete(chatId);
+  transaction.objectStore(STORES.MESSAGES).delete(IDBKeyRange.bound([chatId], [chatId, []]));
+  return whenCommitted(transaction);
+};
+
+export const getMetaValue = async (key) => {
+  const db = await openDatabase();
+  const record = await whenDone(db.transaction(STORES.META, 'readonly').objectStore(STORES.META).get(key));
+  return record?.value;
+};
+
+/**
+ * Writes whole chats (with messages) and a meta flag in one transaction,
+ * so an interrupted import leaves nothing half done.
+ */
+export const importChats = async (chats, metaKey) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORES.CHATS, STORES.MESSAGES, STORES.META], 'readwrite');
+  for (const fullChat of chats) {
+    const { chat, messages } = splitChat(fullChat);
+    transaction.objectStore(STORES.CHATS).put(chat);
+    for (const message of messages) {
+      transaction.objectStore(STORES.MESSAGES).put(message);
+    }
+  }
+  transaction.objectStore(STORES.META).put({ key: metaKey, value: new Date().toISOString() });
+  return whenCommitted(transaction);
+};
@@ -0,0 +1,342 @@
+// Chat export (JSON bundle, Markdown, standalone HTML) and validated JSON import
+import { createElement } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { getAttachmentUrl } from './attachments';
+import { getMode, getModeName, DEFAULT_MODE_ID } from './modes';
+import { getChatHistory, saveChatHistory, getCustomModes, saveCustomModes } from './storage';
+import { getThread, findParentLoop } from './messageTree';
+
+export const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON backup', extension: 'json', mimeType: 'application/json', description: 'Everything, can be imported again' },
+  { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown', description: 'Readable text' },
+  { id: 'html', label: 'HTML page', extension: 'html', mimeType: 'text/html', description: 'Styled page that opens in any browser' }
+];
+
+// Identifies a RYUNEX bundle; bump the version when the chat shape changes incompatibly
+const BUNDLE_FORMAT = 'ryunex-chats';
+const BUNDLE_VERSION = 1;
+
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+
+const MESSAGE_ROLES = ['user', 'ai'];
+
+const speakerName = (message) => (message.role === 'user' ? 'You' : 'Ryunex AI');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+/**
+ * File name for an export: the chat's title for one chat, otherwise a dated backup name.
+ */
+export const getExportFileName = (chats, formatId) => {
+  const { extension } = EXPORT_FORMATS.find(format => format.id === formatId);
+  const base = chats.length === 1
+    ? (chats[0].title || 'chat').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '').slice(0, 60) || 'chat'
+    : `ryunex-chats-${new Date().toISOString().slice(0, 10)}`;
+  return `${base}.${extension}`;
+};
+
+/**
+ * Lossless bundle: chats exactly as stored, plus the custom modes they use.
+ * @param {Array<Object>} chats
+ * @param {Array<Object>} customModes - All custom modes; only the referenced ones are included
+ */
+export const toJsonBundle = (chats, customModes = []) => JSON.stringify({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exportedAt: new Date().toISOString(),
+  modes: customModes.filter(mode => chats.some(chat => chat.mode === mode.id)),
+  chats
+}, null, 2);
+
+/**
+ * Readable Markdown transcript. Images and documents are listed by name.
+ */
+export const toMarkdown = (chats) => chats.map((chat) => {
+  const lines = [
+    `# ${chat.title || 'Chat'}`,
+    '',
+    `*${getModeName(chat.mode)} mode · ${formatDate(chat.createdAt)}*`,
+    ''
+  ];
+
+  if (chat.documents?.length > 0) {
+    lines.push(`**Study documents:** ${chat.documents.map(doc => doc.name).join(', ')}`, '');
+  }
+
+  // Readable formats show the branch the chat is on; the JSON bundle keeps every version
+  for (const message of getThread(chat.messages || [], chat.activeLeafId)) {
+    lines.push(`### ${speakerName(message)}${message.timestamp ? ` · ${formatDate(message.timestamp)}` : ''}`, '');
+    if (message.attachments?.length > 0) {
+      lines.push(message.attachments.map(attachment => `*[Image: ${attachment.name || 'image'}]*`).join(' '), '');
+    }
+    lines.push(message.text || message.content || '', '');
+    if (message.sources?.length > 0) {
+      lines.push(`> Sources: ${message.sources.map(source => `${source.documentName} — ${source.section}`).join('; ')}`, '');
+    }
+  }
+
+  return lines.join('\n');
+}).join('\n---\n\n');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_STYLES = `
+body { margin: 0; background: #0b0f1a; color: #e5e7eb; font: 15px/1.6 system-ui, -apple-system, "Segoe UI", sans-serif; }
+main { max-width: 760px; margin: 0 auto; padding: 32px 16px; }
+h1 { font-size: 24px; margin: 0 0 4px; color: #fff; }
+.meta { color: #9ca3af; font-size: 13px; margin-bottom: 24px; }
+section + section { margin-top: 48px; padding-top: 32px; border-top: 1px solid rgba(255,255,255,0.1); }
+.message { margin: 16px 0; padding: 12px 16px; border-radius: 16px; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.1); }
+.message.user { margin-left: 15%; background: linear-gradient(135deg, rgba(147,51,234,0.35), rgba(34,211,238,0.25)); }
+.speaker { font-size: 12px; color: #9ca3af; margin-bottom: 6px; }
+.message img { max-width: 200px; border-radius: 8px; margin: 4px 4px 8px 0; }
+.sources { font-size: 12px; color: #fde68a; margin-top: 8px; }
+pre { background: #0d1117; padding: 12px; border-radius: 8px; overflow-x: auto; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 13px; }
+:not(pre) > code { background: rgba(255,255,255,0.1); padding: 1px 5px; border-radius: 4px; }
+table { border-collapse: collapse; } th, td { border: 1px solid rgba(255,255,255,0.15); padding: 4px 8px; }
+a { color: #22d3ee; }
+blockquote { border-left: 3px solid #22d3ee; margin: 8px 0; padding-left: 12px; color: #d1d5db; }
+`;
+
+/**
+ * Standalone HTML page with replies rendered from Markdown and images embedded.
+ * The static renderer is loaded on demand since most sessions never export.
+ */
+export const toHtml = async (chats) => {
+  const { renderToStaticMarkup } = await import('react-dom/server');
+
+  // Raw HTML in messages is escaped and remote images become links, as in the chat view
+  const components = { img: ({ src, alt }) => (src ? createElement('a', { href: src }, `🖼 ${alt || 'Image'}`) : null) };
+  const renderMarkdown = (text) => renderToStaticMarkup(
+    createElement(ReactMarkdown, { remarkPlugins: [remarkGfm], skipHtml: true, components }, text || '')
+  );
+
+  const sections = chats.map((chat) => {
+    const messages = getThread(chat.messages || [], chat.activeLeafId).map((message) => {
+      const images = (message.attachments || [])
+        .map(attachment => `<img src="${escapeHtml(getAttachmentUrl(attachment))}" alt="${escapeHtml(attachment.name || 'image')}">`)
+        .join('');
+      const body = message.role === 'user'
+        ? `<p>${escapeHtml(message.text || message.content || '').replace(/\n/g, '<br>')}</p>`
+        : renderMarkdown(message.text || message.content);
+      const sources = message.sources?.length > 0
+        ? `<div class="sources">Sources: ${message.sources.map(source => escapeHtml(`${source.documentName} — ${source.section}`)).join('; ')}</div>`
+        : '';
+
+      return `<div class="message ${message.role === 'user' ? 'user' : 'ai'}">
+<div class="speaker">${speakerName(message)}${message.timestamp ? ` · ${escapeHtml(formatDate(message.timestamp))}` : ''}</div>
+${images}${body}${sources}
+</div>`;
+    }).join('\n');
+
+    return `<section>
+<h1>${escapeHtml(chat.title || 'Chat')}</h1>
+<div class="meta">${escapeHtml(getModeName(chat.mode))} mode · ${escapeHtml(formatDate(chat.createdAt))}</div>
+${messages}
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(chats.length === 1 ? chats[0].title || 'Chat' : 'RYUNEX AI chats')}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+${sections}
+</main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Builds the export in the chosen format.
+ * @returns {Promise<string>}
+ */
+export const exportChats = async (chats, formatId, customModes = []) => {
+  if (formatId === 'json') return toJsonBundle(chats, customModes);
+  if (formatId === 'markdown') return toMarkdown(chats);
+  return toHtml(chats);
+};
+
+/**
+ * Saves text as a file through a temporary download link.
+ */
+export const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isId = (value) => (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value.length > 0);
+
+/**
+ * Checks a document attached to a chat, in the shape prepareDocument() makes (see utils/documents.js).
+ */
+const isValidDocument = (document) => isObject(document)
+  && isId(document.id)
+  && typeof document.name === 'string'
+  && Array.isArray(document.chunks)
+  && document.chunks.every(chunk => isObject(chunk)
+    && isId(chunk.id)
+    && typeof chunk.text === 'string'
+    && (chunk.section === undefined || chunk.section === null || typeof chunk.section === 'string'));
+
+/**
+ * Checks one chat from a bundle.
+ * @returns {string|null} - What is wrong, or null when it is valid
+ */
+const validateChat = (chat, index) => {
+  const label = `Chat ${index + 1}`;
+  if (!isObject(chat)) return `${label} is not an object.`;
+  if (!isId(chat.id)) return `${label} has no id.`;
+  if (typeof chat.mode !== 'string' || !chat.mode) return `${label} has no mode.`;
+  if (chat.title !== undefined && typeof chat.title !== 'string') return `${label} has an invalid title.`;
+  if (!Array.isArray(chat.messages)) return `${label} has no message list.`;
+  if (chat.documents !== undefined && !Array.isArray(chat.documents)) return `${label} has an invalid document list.`;
+  const badDocument = (chat.documents || []).findIndex(document => !isValidDocument(document));
+  if (badDocument !== -1) return `${label}, document ${badDocument + 1} is damaged.`;
+
+  const messageIds = new Set(chat.messages.map(message => message?.id));
+  const seenIds = new Set();
+  for (const [messageIndex, message] of chat.messages.entries()) {
+    const messageLabel = `${label}, message ${messageIndex + 1}`;
+    if (!isObject(message)) return `${messageLabel} is not an object.`;
+    if (!isId(message.id)) return `${messageLabel} has no id.`;
+    if (seenIds.has(message.id)) return `${messageLabel} has the same id as an earlier message.`;
+    seenIds.add(message.id);
+    if (!MESSAGE_ROLES.includes(message.role)) return `${messageLabel} has an unknown role.`;
+    if (typeof (message.text ?? '') !== 'string') return `${messageLabel} has invalid text.`;
+    if (message.parentId !== undefined && message.parentId !== null && !messageIds.has(message.parentId)) {
+      return `${messageLabel} replies to a message that is not in the chat.`;
+    }
+    if (message.attachments !== undefined && (!Array.isArray(message.attachments)
+      || message.attachments.some(attachment => typeof attachment?.data !== 'string' || typeof attachment.mimeType !== 'string'))) {
+      return `${messageLabel} has invalid attachments.`;
+    }
+  }
+  if (findParentLoop(chat.messages) !== null) return `${label} has messages that reply to each other in a loop.`;
+  return null;
+};
+
+/**
+ * Parses and validates a JSON bundle before anything is written.
+ * @param {File} file
+ * @returns {Promise<{chats: Array<Object>, modes: Array<Object>}>}
+ * @throws {Error} - With a message that can be shown to the user
+ */
+export const readChatBundle = async (file) => {
+  if (file.size > MAX_IMPORT_BYTES) {
+    throw new Error('This file is larger than 50 MB.');
+  }
+
+  let bundle;
+  try {
+    bundle = JSON.parse(await file.text());
+  } catch {
+    throw new Error('This file is not valid JSON. Only JSON backups can be imported.');
+  }
+
+  if (!isObject(bundle) || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error('This is not a RYUNEX chat backup.');
+  }
+  if (typeof bundle.version !== 'number' || bundle.version > BUNDLE_VERSION) {
+    throw new Error('This backup was made by a newer version of RYUNEX AI.');
+  }
+  if (!Array.isArray(bundle.chats) || bundle.chats.length === 0) {
+    throw new Error('This backup has no chats.');
+  }
+
+  for (const [index, chat] of bundle.chats.entries()) {
+    const problem = validateChat(chat, index);
+    if (problem) throw new Error(`Import stopped: ${problem}`);
+  }
+
+  const modes = (Array.isArray(bundle.modes) ? bundle.modes : [])
+    .filter(mode => isObject(mode) && typeof mode.id === 'string' && mode.id.startsWith('custom-')
+      && typeof mode.name === 'string' && typeof mode.systemPrompt === 'string');
+
+  return { chats: bundle.chats, modes };
+};
+
+/**
+ * Merges imported chats into the existing history by id. Existing chats are never overwritten:
+ * an identical chat is skipped and a different chat with a taken id is added as a copy.
+ *
+ * @returns {{chats: Array<Object>, added: number, skipped: number}} - `chats` is the merged history
+ */
+export const mergeChats = (existing, imported) => {
+  const byId = new Map(existing.map(chat => [chat.id, chat]));
+  const added = [];
+  let skipped = 0;
+  let nextId = Date.now();
+
+  for (const chat of imported) {
+    const current = byId.get(chat.id);
+    if (!current) {
+      added.push(chat);
+      byId.set(chat.id, chat);
+    } else if (JSON.stringify(current) === JSON.stringify(chat)) {
+      skipped += 1;
+    } else {
+      while (byId.has(nextId)) nextId += 1;
+      const copy = { ...chat, id: nextId, title: `${chat.title || 'Chat'} (imported)` };
+      added.push(copy);
+      byId.set(copy.id, copy);
+    }
+  }
+
+  // Newest first, like the rest of the history
+  const chats = [...existing, ...added].sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+  return { chats, added: added.length, skipped };
+};
+
+/**
+ * A backed-up message that was still waiting to be sent is imported as a plain message;
+ * the outbox would otherwise send it again.
+ */
+const withoutDelivery = (message) => {
+  const { delivery: _delivery, ...rest } = message;
+  return rest;
+};
+
+/**
+ * Imports a JSON backup: validates it, adds the custom modes it needs and merges its chats.
+ * Nothing is written when validation fails.
+ *
+ * @param {File} file
+ * @returns {Promise<{added: number, skipped: number}>}
+ * @throws {Error} - When the file is not a valid backup
+ */
+export const importChatBundle = async (file) => {
+  const bundle = await readChatBundle(file);
+
+  const customModes = getCustomModes();
+  const newModes = bundle.modes.filter(mode => !customModes.some(existing => existing.id === mode.id));
+  if (newModes.length > 0) saveCustomModes([...customModes, ...newModes]);
+
+  // Chats from a mode that no longer exists would never be listed
+  const chats = bundle.chats
+    .map(chat => (getMode(chat.mode) ? chat : { ...chat, mode: DEFAULT_MODE_ID }))
+    .map(chat => ({ ...chat, messages: chat.messages.map(withoutDelivery) }));
+
+  const merged = mergeChats(getChatHistory(), chats);
+  saveChatHistory(merged.chats);
+  return { added: merged.added, skipped: merged.skipped };
+};
@@ -0,0 +1,203 @@
+// Runs JavaScript and TypeScript snippets from AI replies in a throwaway Web Worker, started from a
+// sandboxed iframe whose Content Security Policy blocks every network request. Deleting fetch and
+// friends inside the worker is not enough on its own: dynamic import() can't be deleted.
+
+// A snippet that is still running after this long is stopped
+const RUN_TIMEOUT_MS = 5000;
+
+// Output beyond this many console lines is dropped
+const MAX_LOG_LINES = 200;
+
+const TYPESCRIPT_LANGUAGES = ['typescript', 'ts'];
+export const RUNNABLE_LANGUAGES = ['javascript', 'js', 'mjs', ...TYPESCRIPT_LANGUAGES];
+
+export const isRunnableLanguage = (language) => RUNNABLE_LANGUAGES.includes(language);
+
+/**
+ * Worker bootstrap. It removes network and storage APIs, captures console output,
+ * runs the snippet as the body of an async function (so top-level await works)
+ * and reports `done` once the snippet and all of its timers have finished.
+ */
+const WORKER_SOURCE = `
+const BLOCKED_APIS = ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker'];
+for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+  for (const name of BLOCKED_APIS) {
+    try { if (Object.prototype.hasOwnProperty.call(scope, name)) delete scope[name]; } catch {}
+  }
+}
+
+const post = self.postMessage.bind(self);
+
+const format = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return value.stack || String(value);
+  if (typeof value === 'function') return '[Function ' + (value.name || 'anonymous') + ']';
+  if (typeof value === 'bigint') return value + 'n';
+  if (typeof value === 'symbol' || value === undefined || value === null) return String(value);
+  if (typeof value !== 'object') return String(value);
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+  if (value instanceof Map) return 'Map(' + value.size + ') {' + [...value].map(([k, v]) => format(k, seen) + ' => ' + format(v, seen)).join(', ') + '}';
+  if (value instanceof Set) return 'Set(' + value.size + ') {' + [...value].map(v => format(v, seen)).join(', ') + '}';
+  try {
+    return JSON.stringify(value, (key, inner) => {
+      if (typeof inner === 'bigint') return inner + 'n';
+      if (typeof inner === 'function') return '[Function]';
+      if (inner === undefined) return '[undefined]';
+      return inner;
+    }, 2);
+  } catch {
+    return Object.prototype.toString.call(value);
+  }
+};
+
+for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+  console[level] = (...args) => post({ type: 'log', level, text: args.map(arg => format(arg)).join(' ') });
+}
+console.table = (data) => post({ type: 'log', level: 'log', text: format(data) });
+
+// The stack would only point into this bootstrap, so report name and message
+const fail = (error) => post({ type: 'error', message: error instanceof Error ? error.name + ': ' + error.message : 'Uncaught ' + format(error) });
+
+// Track timers so the run only ends when nothing is scheduled any more
+const pending = new Set();
+let mainFinished = false;
+const maybeFinish = () => {
+  if (mainFinished && pending.size === 0) post({ type: 'done' });
+};
+const nativeSetTimeout = self.setTimeout.bind(self);
+const nativeClearTimeout = self.clearTimeout.bind(self);
+const nativeSetInterval = self.setInterval.bind(self);
+const nativeClearInterval = self.clearInterval.bind(self);
+self.setTimeout = (callback, delay, ...args) => {
+  const id = nativeSetTimeout(() => {
+    pending.delete(id);
+    try { if (typeof callback === 'function') callback(...args); }
+    catch (error) { fail(error); return; }
+    maybeFinish();
+  }, delay);
+  pending.add(id);
+  return id;
+};
+self.clearTimeout = (id) => { pending.delete(id); nativeClearTimeout(id); maybeFinish(); };
+self.setInterval = (callback, delay, ...args) => {
+  const id = nativeSetInterval(callback, delay, ...args);
+  pending.add(id);
+  return id;
+};
+self.clearInterval = (id) => { pending.delete(id); nativeClearInterval(id); maybeFinish(); };
+
+self.addEventListener('error', (event) => { event.preventDefault(); fail(event.error || event.message); });
+self.addEventListener('unhandledrejection', (event) => { event.preventDefault(); fail(event.reason); });
+
+self.onmessage = async ({ data }) => {
+  try {
+    const AsyncFunction = (async () => {}).constructor;
+    await new AsyncFunction(data.code)();
+  } catch (error) {
+    fail(error);
+    return;
+  }
+  mainFinished = true;
+  maybeFinish();
+};
+`;
+
+// Scripts may only be inline or blob: (the worker), and nothing may be loaded from anywhere else
+const SANDBOX_CSP = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' blob:; worker-src blob:";
+
+/**
+ * Page of the sandboxed iframe: starts the worker for each snippet and passes its messages up.
+ * The iframe has an opaque origin, so the snippet can't reach the app's storage or DOM either.
+ */
+const SANDBOX_HTML = `<!doctype html>
+<meta http-equiv="Content-Security-Policy" content="${SANDBOX_CSP}">
+<script>
+const WORKER_SOURCE = ${JSON.stringify(WORKER_SOURCE).replace(/</g, '\\u003c')};
+const report = (data) => parent.postMessage(data, '*');
+window.onmessage = ({ source, data }) => {
+  if (source !== parent) return;
+  let worker;
+  try {
+    worker = new Worker(URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' })));
+  } catch (error) {
+    report({ type: 'error', message: 'The snippet could not be started: ' + error.message });
+    return;
+  }
+  worker.onmessage = (event) => report(event.data);
+  worker.onerror = (event) => {
+    event.preventDefault();
+    report({ type: 'error', message: event.message || 'The snippet could not be started.' });
+  };
+  worker.postMessage(data);
+};
+</script>`;
+
+/**
+ * Strips TypeScript types so the snippet runs as plain JavaScript. Sucrase is loaded on demand.
+ */
+const compileTypeScript = async (code) => {
+  const { transform } = await import('sucrase');
+  return transform(code, { transforms: ['typescript'], disableESTransforms: true }).code;
+};
+
+/**
+ * Runs a snippet in an isolated worker with no DOM, network or storage access.
+ * Removing the sandbox iframe stops the worker with it.
+ *
+ * @param {string} code - Snippet from a fenced code block
+ * @param {string} language - Fence language (javascript, js, typescript, ts)
+ * @returns {Promise<{logs: Array<{level: string, text: string}>, error: string|null, timedOut: boolean, durationMs: number}>}
+ */
+export const runCode = async (code, language) => {
+  const logs = [];
+  const startedAt = performance.now();
+  const finish = (result) => ({ logs, error: null, timedOut: false, ...result, durationMs: Math.round(performance.now() - startedAt) });
+
+  let source = code;
+  if (TYPESCRIPT_LANGUAGES.includes(language)) {
+    try {
+      source = await compileTypeScript(code);
+    } catch (error) {
+      return finish({ error: `TypeScript error: ${error.message}` });
+    }
+  }
+
+  // Module syntax can't run inside a function body
+  if (/^\s*(import|export)\s/m.test(source)) {
+    return finish({ error: 'Snippets with import/export statements can\'t run here. Remove them and inline what you need.' });
+  }
+
+  const sandbox = document.createElement('iframe');
+  sandbox.setAttribute('sandbox', 'allow-scripts');
+  sandbox.setAttribute('aria-hidden', 'true');
+  sandbox.style.display = 'none';
+  sandbox.srcdoc = SANDBOX_HTML;
+
+  return new Promise((resolve) => {
+    const done = (result) => {
+      clearTimeout(timeout);
+      window.removeEventListener('message', handleMessage);
+      sandbox.remove();
+      resolve(finish(result));
+    };
+
+    const timeout = setTimeout(() => done({ timedOut: true, error: `Stopped after ${RUN_TIMEOUT_MS / 1000} seconds. Check for infinite loops or timers that are never cleared.` }), RUN_TIMEOUT_MS);
+
+    const handleMessage = ({ source, data }) => {
+      if (source !== sandbox.contentWindow || !data) return;
+      if (data.type === 'log') {
+        if (logs.length < MAX_LOG_LINES) logs.push({ level: data.level, text: data.text });
+        else if (logs.length === MAX_LOG_LINES) logs.push({ level: 'warn', text: '… output truncated' });
+      } else if (data.type === 'error') {
+        done({ error: data.message });
+      } else if (data.type === 'done') {
+        done({});
+      }
+    };
+    window.addEventListener('message', handleMessage);
+
+    sandbox.onload = () => sandbox.contentWindow.postMessage({ code: source }, '*');
+    document.body.appendChild(sandbox);
+  });
+};
@@ -0,0 +1,122 @@
+// Context-window management: keeps recent turns verbatim and folds older ones into a running summary
+
+// Unsummarized history is sent verbatim until it grows past this many tokens
+const MAX_HISTORY_TOKENS = 8000;
+
+// Once trimming kicks in, this much recent history stays verbatim (the rest is summarized)
+const RECENT_HISTORY_TOKENS = 3000;
+
+// Always keep at least the last exchange verbatim
+const MIN_RECENT_MESSAGES = 2;
+
+// Role markers and formatting around every message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Gemini bills an inline image at a flat 258 tokens
+const IMAGE_TOKENS = 258;
+
+/**
+ * Rough token estimate for a piece of text.
+ * Latin text averages ~4 characters per token; Devanagari and other scripts use far more tokens per character.
+ */
+export const estimateTokens = (text = '') => {
+  let ascii = 0;
+  let other = 0;
+  for (const char of text) {
+    if (char.charCodeAt(0) < 128) ascii++;
+    else other++;
+  }
+  return Math.ceil(ascii / 4 + other / 1.5);
+};
+
+/**
+ * Token estimate for a chat message, including role overhead and attached images.
+ */
+export const estimateMessageTokens = (message) => {
+  const imageTokens = (message.attachments?.length || 0) * IMAGE_TOKENS;
+  return estimateTokens(message.text || message.content || '') + imageTokens + MESSAGE_OVERHEAD_TOKENS;
+};
+
+/**
+ * Splits history into the part already covered by the summary and the part that is not.
+ * Error bubbles are dropped; they are UI-only and would confuse the model.
+ */
+const getUnsummarized = (messages, summary) => {
+  const usable = messages.filter(msg => !msg.isError);
+  if (!summary?.upToMessageId) return usable;
+
+  const index = usable.findIndex(msg => msg.id === summary.upToMessageId);
+  return index === -1 ? usable : usable.slice(index + 1);
+};
+
+/**
+ * Decides which messages stay verbatim and which should be folded into the summary.
+ * @param {Array} messages - Previous messages of the chat (oldest first).
+ * @param {{text: string, upToMessageId: number}|null} summary - The chat's stored running summary.
+ * @returns {{recent: Array, older: Array}} - `recent` always opens with a user turn; `older` is empty while the history still fits.
+ */
+export const splitHistory = (messages, summary) => {
+  const unsummarized = getUnsummarized(messages, summary);
+  const totalTokens = unsummarized.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+
+  let splitIndex = 0;
+  if (totalTokens > MAX_HISTORY_TOKENS) {
+    // Walk back from the newest message until the recent budget is used up
+    let budget = RECENT_HISTORY_TOKENS;
+    splitIndex = unsummarized.length;
+    while (splitIndex > 0) {
+      const cost = estimateMessageTokens(unsummarized[splitIndex - 1]);
+      const isRequired = unsummarized.length - splitIndex < MIN_RECENT_MESSAGES;
+      if (cost > budget && !isRequired) break;
+      budget -= cost;
+      splitIndex--;
+    }
+  }
+
+  // Gemini rejects a history that opens with a model turn, so replies at the cut go into the
+  // summary with their question. This also repairs summaries that ended on a question.
+  while (splitIndex < unsummarized.length && unsummarized[splitIndex].role !== 'user') {
+    splitIndex++;
+  }
+
+  return { recent: unsummarized.slice(splitIndex), older: unsummarized.slice(0, splitIndex) };
+};
+
+/**
+ * Builds the history and summary to send for the next turn.
+ * When the history has outgrown its budget, older turns are folded into the running summary.
+ *
+ * @param {Array} messages - Previous messages of the chat (oldest first).
+ * @param {{text: string, upToMessageId: number}|null} summary - The chat's stored running summary.
+ * @param {(previousSummary: string|undefined, messages: Array) => Promise<string|null>} summarize - Produces the updated summary text.
+ * @returns {Promise<{history: Array, summary: Object|null, summaryChanged: boolean}>}
+ */
+export const prepareContext = async (messages, summary, summarize) => {
+  // A summary made on another branch of the chat describes turns this one doesn't have
+  if (summary?.upToMessageId && !messages.some(msg => msg.id === summary.upToMessageId)) {
+    summary = null;
+  }
+
+  const { recent, older } = splitHistory(messages, summary);
+
+  if (older.length === 0) {
+    return { history: recent, summary, summaryChanged: false };
+  }
+
+  const text = await summarize(summary?.text, older);
+
+  // Summarizing failed: send only the recent turns rather than blowing the context window
+  if (!text) {
+    return { history: recent, summary, summaryChanged: false };
+  }
+
+  return {
+    history: recent,
+    summary: {
+      text,
+      upToMessageId: older[older.length - 1].id,
+      updatedAt: new Date().toISOString()
+    },
+    summaryChanged: true
+  };
+};
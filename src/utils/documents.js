@@ -0,0 +1,208 @@
+// Study documents: local text extraction and chunking for retrieval (see utils/retrieval.js)
+
+// Target size of a chunk, in characters (roughly 200 tokens of English)
+const CHUNK_SIZE = 800;
+
+// Characters repeated between neighbouring chunks so sentences at the edges aren't lost
+const CHUNK_OVERLAP = 120;
+
+// Text kept per document; everything is stored in the browser
+const MAX_DOCUMENT_CHARS = 300000;
+
+const MAX_DOCUMENT_BYTES = 15 * 1024 * 1024;
+
+export const MAX_DOCUMENTS_PER_CHAT = 5;
+
+export const DOCUMENT_ACCEPT = '.txt,.md,.markdown,.pdf,text/plain,text/markdown,application/pdf';
+
+/**
+ * Which extractor handles a file, or null when it isn't a supported document.
+ */
+export const getDocumentType = (file) => {
+  const name = (file?.name || '').toLowerCase();
+  if (file?.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  if (file?.type === 'text/markdown' || name.endsWith('.md') || name.endsWith('.markdown')) return 'markdown';
+  if (file?.type === 'text/plain' || name.endsWith('.txt')) return 'text';
+  return null;
+};
+
+export const isDocumentFile = (file) => getDocumentType(file) !== null;
+
+/**
+ * Splits Markdown into sections at its headings, labelled with the heading path ("Unit 2 > Osmosis").
+ */
+const splitMarkdownSections = (text) => {
+  const sections = [];
+  const headings = [];
+  let lines = [];
+
+  const flush = () => {
+    const body = lines.join('\n').trim();
+    if (body) sections.push({ title: headings.filter(Boolean).join(' > ') || 'Introduction', text: body });
+    lines = [];
+  };
+
+  for (const line of text.split('\n')) {
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      headings.length = level;
+      headings[level - 1] = heading[2];
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return sections;
+};
+
+/**
+ * Splits plain text into sections at ALL-CAPS or numbered heading lines ("CHAPTER 3", "2.1 Photosynthesis").
+ * Text without recognisable headings becomes a single section.
+ */
+const splitTextSections = (text) => {
+  const sections = [];
+  let title = 'Introduction';
+  let lines = [];
+
+  const flush = () => {
+    const body = lines.join('\n').trim();
+    if (body) sections.push({ title, text: body });
+    lines = [];
+  };
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    const isHeading = trimmed.length > 2 && trimmed.length <= 80 && (
+      (/^[A-Z0-9][A-Z0-9\s:.,&()-]+$/.test(trimmed) && /[A-Z]{3}/.test(trimmed)) ||
+      /^(\d+(\.\d+)*|chapter\s+\d+|unit\s+\d+)[.):]?\s+\S/i.test(trimmed)
+    );
+    if (isHeading) {
+      flush();
+      title = trimmed;
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return sections;
+};
+
+/**
+ * Extracts the text of each PDF page with pdf.js. Loaded on demand, it is large.
+ */
+const extractPdfSections = async (file) => {
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const sections = [];
+  let totalChars = 0;
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages && totalChars < MAX_DOCUMENT_CHARS; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map(item => (item.str ?? '') + (item.hasEOL ? '\n' : ' '))
+        .join('')
+        .replace(/[ \t]+/g, ' ')
+        .trim();
+
+      if (text) {
+        sections.push({ title: `Page ${pageNumber}`, text });
+        totalChars += text.length;
+      }
+    }
+  } finally {
+    pdf.destroy();
+  }
+
+  return sections;
+};
+
+/**
+ * Cuts a section into overlapping chunks, preferring paragraph and sentence boundaries.
+ */
+const chunkSection = (text) => {
+  const normalized = text.replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (normalized.length <= CHUNK_SIZE) return [normalized];
+
+  const chunks = [];
+  let start = 0;
+  while (start < normalized.length) {
+    let end = Math.min(start + CHUNK_SIZE, normalized.length);
+
+    if (end < normalized.length) {
+      const window = normalized.slice(start + CHUNK_SIZE / 2, end);
+      const breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf('\n'));
+      if (breakAt !== -1) end = start + CHUNK_SIZE / 2 + breakAt + 1;
+    }
+
+    chunks.push(normalized.slice(start, end).trim());
+    if (end >= normalized.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+
+  return chunks.filter(Boolean);
+};
+
+/**
+ * Reads a document, splits it into sections and chunks it for retrieval.
+ * Everything happens in the browser; the file itself is never uploaded.
+ *
+ * @param {File} file - Text, Markdown or PDF file picked or dropped by the user
+ * @returns {Promise<{id: string, name: string, type: string, addedAt: string, chunks: Array<{id: string, section: string, text: string}>}>}
+ */
+export const prepareDocument = async (file) => {
+  const type = getDocumentType(file);
+  if (!type) {
+    throw new Error(`${file.name || 'This file'} is not a supported document. Use PDF, Markdown or plain text.`);
+  }
+  if (file.size > MAX_DOCUMENT_BYTES) {
+    throw new Error(`${file.name} is larger than 15 MB.`);
+  }
+
+  let sections;
+  try {
+    if (type === 'pdf') {
+      sections = await extractPdfSections(file);
+    } else {
+      const text = (await file.text()).slice(0, MAX_DOCUMENT_CHARS);
+      sections = type === 'markdown' ? splitMarkdownSections(text) : splitTextSections(text);
+    }
+  } catch (error) {
+    console.error(`Failed to read ${file.name}:`, error);
+    throw new Error(`${file.name} could not be read.`);
+  }
+
+  const documentId = crypto.randomUUID();
+  let remaining = MAX_DOCUMENT_CHARS;
+  const chunks = [];
+
+  for (const section of sections) {
+    for (const text of chunkSection(section.text)) {
+      if (remaining <= 0) break;
+      chunks.push({ id: `${documentId}:${chunks.length}`, section: section.title, text });
+      remaining -= text.length;
+    }
+  }
+
+  if (chunks.length === 0) {
+    throw new Error(`No text found in ${file.name}. Scanned PDFs are not supported yet.`);
+  }
+
+  return {
+    id: documentId,
+    name: file.name,
+    type,
+    addedAt: new Date().toISOString(),
+    chunks
+  };
+};
@@ -0,0 +1,133 @@
+// Typed chat failures. callGeminiAPI reports every failure as a ChatError code instead of
+// free text, so the UI can explain each one and decide whether trying again can help.
+// Codes from the API server (see server/errors.js) use the same names.
+
+/**
+ * Every kind of failure: whether it may pass by itself, and what to tell the user.
+ */
+export const CHAT_ERROR_TYPES = {
+  offline: {
+    retryable: true,
+    title: 'You\'re offline',
+    message: 'Check your internet connection. Your message will be sent when it\'s back.'
+  },
+  network: {
+    retryable: true,
+    title: 'Couldn\'t reach RYUNEX',
+    message: 'The RYUNEX server didn\'t answer. It may be restarting, so try again in a moment.'
+  },
+  interrupted: {
+    retryable: true,
+    title: 'Connection lost',
+    message: 'The connection dropped before the reply arrived.'
+  },
+  server: {
+    retryable: true,
+    title: 'Server error',
+    message: 'The RYUNEX server ran into a problem. Try again in a moment.'
+  },
+  unavailable: {
+    retryable: true,
+    title: 'AI service unavailable',
+    message: 'The AI providers are having trouble right now. Try again in a moment.'
+  },
+  rate_limited: {
+    retryable: true,
+    title: 'Too many requests',
+    message: 'RYUNEX\'s AI keys hit their rate limit. They recover on their own within a few minutes.'
+  },
+  busy: {
+    retryable: true,
+    title: 'All AI providers failed',
+    message: 'Every AI provider failed to answer. Try again shortly, and tell the owner of RYUNEX if it keeps happening.'
+  },
+  invalid_key: {
+    retryable: false,
+    title: 'AI keys need attention',
+    message: 'The server\'s AI keys were rejected. Please tell the owner of RYUNEX so they can replace them.'
+  },
+  blocked: {
+    retryable: false,
+    title: 'Blocked by safety filters',
+    message: 'The AI declined to answer this. Try rephrasing, or loosen the safety filters in this chat\'s settings.'
+  },
+  bad_request: {
+    retryable: false,
+    title: 'Request not accepted',
+    message: 'The AI couldn\'t process this message. Try a shorter message, fewer images or another model.'
+  },
+  daily_limit: {
+    retryable: false,
+    title: 'Daily limit reached',
+    message: 'You\'ve used today\'s messages for this mode. Please come back tomorrow!'
+  },
+  unknown: {
+    retryable: false,
+    title: 'Something went wrong',
+    message: 'An unexpected error occurred while getting a reply.'
+  }
+};
+
+export class ChatError extends Error {
+  /**
+   * @param {string} code - A key of CHAT_ERROR_TYPES; unknown codes become 'unknown'
+   * @param {Object} [options]
+   * @param {string} [options.message] - Replaces the type's standard explanation
+   * @param {string} [options.detail] - Technical reason, for the console
+   */
+  constructor(code, { message, detail } = {}) {
+    const type = CHAT_ERROR_TYPES[code] ? code : 'unknown';
+    super(message || CHAT_ERROR_TYPES[type].message);
+    this.name = 'ChatError';
+    this.code = type;
+    this.title = CHAT_ERROR_TYPES[type].title;
+    this.retryable = CHAT_ERROR_TYPES[type].retryable;
+    this.detail = detail || null;
+  }
+
+  /**
+   * What is saved on an error reply or an unsent message.
+   * @returns {{code: string, title: string, message: string, retryable: boolean}}
+   */
+  toJSON() {
+    return { code: this.code, title: this.title, message: this.message, retryable: this.retryable };
+  }
+}
+
+/**
+ * Wraps a rejection of fetch() or of reading its response body, the only places a lost
+ * connection shows up. Only these become retryable: a TypeError from anywhere else is a bug,
+ * and sending again would hit it again. Aborts are passed through as they are.
+ *
+ * @param {unknown} error
+ * @param {'network'|'interrupted'} [code] - 'interrupted' once part of the reply had arrived
+ * @returns {ChatError|unknown}
+ */
+export const toConnectionError = (error, code = 'network') => {
+  if (error?.name === 'AbortError') return error;
+  return new ChatError(code === 'network' && !navigator.onLine ? 'offline' : code, { detail: error?.message });
+};
+
+/**
+ * Turns anything thrown while asking for a reply into a ChatError. Connection failures are
+ * already ChatErrors (see toConnectionError()), so anything else is unexpected.
+ * @param {unknown} error
+ * @returns {ChatError}
+ */
+export const toChatError = (error) => {
+  if (error instanceof ChatError) return error;
+  return new ChatError('unknown', { detail: error?.message });
+};
+
+/**
+ * The explanation for an error saved on a message. Messages saved before errors had
+ * codes only have their text.
+ * @param {Object} message
+ * @returns {{code: string, title: string, message: string, retryable: boolean}}
+ */
+export const getMessageError = (message) => message.error || {
+  code: 'unknown',
+  title: CHAT_ERROR_TYPES.unknown.title,
+  message: message.text,
+  retryable: false
+};
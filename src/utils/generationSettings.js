@@ -0,0 +1,75 @@
+// Per-chat generation settings: model, sampling, reply length and safety thresholds.
+// A chat stores only what the user changed; everything left null uses the mode's defaults.
+
+export const DEFAULT_GENERATION_SETTINGS = {
+  model: null,
+  temperature: null,
+  topP: null,
+  maxOutputTokens: null,
+  // Gemini safety category -> block threshold
+  safety: {}
+};
+
+export const SAFETY_CATEGORIES = [
+  { id: 'HARM_CATEGORY_HARASSMENT', label: 'Harassment' },
+  { id: 'HARM_CATEGORY_HATE_SPEECH', label: 'Hate speech' },
+  { id: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', label: 'Sexually explicit' },
+  { id: 'HARM_CATEGORY_DANGEROUS_CONTENT', label: 'Dangerous content' }
+];
+
+export const SAFETY_THRESHOLDS = [
+  { id: 'BLOCK_NONE', label: 'Block none' },
+  { id: 'BLOCK_ONLY_HIGH', label: 'Block few' },
+  { id: 'BLOCK_MEDIUM_AND_ABOVE', label: 'Block some' },
+  { id: 'BLOCK_LOW_AND_ABOVE', label: 'Block most' }
+];
+
+// Presets for the reply length control; null keeps the model's own limit
+export const MAX_OUTPUT_TOKEN_PRESETS = [256, 512, 1024, 2048, 4096, 8192];
+
+const clampOrNull = (value, min, max) => (typeof value === 'number' && Number.isFinite(value)
+  ? Math.min(max, Math.max(min, value))
+  : null);
+
+/**
+ * Cleans settings before they are stored on a chat.
+ * @returns {Object|null} - Null when nothing differs from the defaults
+ */
+export const normalizeGenerationSettings = (settings) => {
+  const safety = Object.fromEntries(Object.entries(settings?.safety || {})
+    .filter(([category, threshold]) => SAFETY_CATEGORIES.some(item => item.id === category)
+      && SAFETY_THRESHOLDS.some(item => item.id === threshold)));
+
+  const normalized = {
+    model: settings?.model || null,
+    temperature: clampOrNull(settings?.temperature, 0, 2),
+    topP: clampOrNull(settings?.topP, 0, 1),
+    maxOutputTokens: clampOrNull(settings?.maxOutputTokens, 1, Infinity),
+    safety
+  };
+
+  const isDefault = !normalized.model && normalized.temperature === null && normalized.topP === null
+    && normalized.maxOutputTokens === null && Object.keys(safety).length === 0;
+  return isDefault ? null : normalized;
+};
+
+/**
+ * Safety thresholds in the shape the API server expects.
+ */
+export const toSafetySettings = (safety = {}) => Object.entries(safety)
+  .map(([category, threshold]) => ({ category, threshold }));
+
+/**
+ * Short description of the settings a reply was generated with, for the message footer.
+ * Only values the chat changed are listed.
+ */
+export const describeGenerationSettings = (settings) => {
+  if (!settings) return '';
+
+  const parts = [];
+  if (settings.temperature !== null && settings.temperature !== undefined) parts.push(`temp ${settings.temperature}`);
+  if (settings.topP !== null && settings.topP !== undefined) parts.push(`top-p ${settings.topP}`);
+  if (settings.maxOutputTokens) parts.push(`max ${settings.maxOutputTokens} tokens`);
+  if (Object.keys(settings.safety || {}).length > 0) parts.push('custom safety');
+  return parts.join(' · ');
+};
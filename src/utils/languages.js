@@ -0,0 +1,170 @@
+// Languages the AI can answer in, with the welcome screen and input copy for each.
+// The built-in prompts default to Hinglish; any other choice overrides that in getSystemPrompt.
+
+export const DEFAULT_RESPONSE_LANGUAGE = 'hinglish';
+export const AUTO_DETECT_LANGUAGE = 'auto';
+
+// UI copy for Hinglish and auto-detect, which keep the app's usual wording
+const DEFAULT_COPY = {
+  welcome: 'Welcome to Ryunex AI',
+  tagline: 'Ask anything. Think clearly. Grow calmly.',
+  placeholder: 'Type your message to Ryunex...',
+  listening: 'Listening...',
+  limitReached: 'Daily limit reached. Come back tomorrow!'
+};
+
+export const RESPONSE_LANGUAGES = [
+  {
+    id: 'hinglish',
+    label: 'Hinglish',
+    instruction: 'Reply in Hinglish (Hindi and English mixed, written in Latin script).',
+    copy: DEFAULT_COPY
+  },
+  {
+    id: AUTO_DETECT_LANGUAGE,
+    label: 'Auto-detect from my message',
+    instruction: 'Reply in the same language and script as the user\'s latest message. If it mixes languages, mirror that mix.',
+    copy: DEFAULT_COPY
+  },
+  {
+    id: 'en',
+    label: 'English',
+    instruction: 'Reply in plain English only. Do not use Hindi or Hinglish words.',
+    copy: DEFAULT_COPY
+  },
+  {
+    id: 'hi',
+    label: 'हिन्दी (Hindi)',
+    instruction: 'Reply in Hindi written in Devanagari script. Keep technical terms and code in English.',
+    copy: {
+      welcome: 'Ryunex AI में आपका स्वागत है',
+      tagline: 'कुछ भी पूछें। साफ़ सोचें। शांति से आगे बढ़ें।',
+      placeholder: 'Ryunex को अपना संदेश लिखें...',
+      listening: 'सुन रहा हूँ...',
+      limitReached: 'आज की सीमा पूरी हो गई। कल फिर आइए!'
+    }
+  },
+  {
+    id: 'bn',
+    label: 'বাংলা (Bengali)',
+    instruction: 'Reply in Bengali written in Bengali script. Keep technical terms and code in English.',
+    copy: {
+      welcome: 'Ryunex AI-তে আপনাকে স্বাগতম',
+      tagline: 'যা খুশি জিজ্ঞাসা করুন। পরিষ্কারভাবে ভাবুন। শান্তভাবে এগিয়ে যান।',
+      placeholder: 'Ryunex-কে আপনার বার্তা লিখুন...',
+      listening: 'শুনছি...',
+      limitReached: 'আজকের সীমা শেষ। কাল আবার আসুন!'
+    }
+  },
+  {
+    id: 'mr',
+    label: 'मराठी (Marathi)',
+    instruction: 'Reply in Marathi written in Devanagari script. Keep technical terms and code in English.',
+    copy: {
+      welcome: 'Ryunex AI मध्ये आपले स्वागत आहे',
+      tagline: 'काहीही विचारा. स्पष्ट विचार करा. शांतपणे पुढे जा.',
+      placeholder: 'Ryunex ला तुमचा संदेश लिहा...',
+      listening: 'ऐकत आहे...',
+      limitReached: 'आजची मर्यादा संपली. उद्या पुन्हा या!'
+    }
+  },
+  {
+    id: 'gu',
+    label: 'ગુજરાતી (Gujarati)',
+    instruction: 'Reply in Gujarati written in Gujarati script. Keep technical terms and code in English.',
+    copy: {
+      welcome: 'Ryunex AI માં આપનું સ્વાગત છે',
+      tagline: 'કંઈપણ પૂછો. સ્પષ્ટ વિચારો. શાંતિથી આગળ વધો.',
+      placeholder: 'Ryunex ને તમારો સંદેશ લખો...',
+      listening: 'સાંભળી રહ્યો છું...',
+      limitReached: 'આજની મર્યાદા પૂરી થઈ. કાલે ફરી આવજો!'
+    }
+  },
+  {
+    id: 'pa',
+    label: 'ਪੰਜਾਬੀ (Punjabi)',
+    instruction: 'Reply in Punjabi written in Gurmukhi script. Keep technical terms and code in English.',
+    copy: {
+      welcome: 'Ryunex AI ਵਿੱਚ ਤੁਹਾਡਾ ਸੁਆਗਤ ਹੈ',
+      tagline: 'ਕੁਝ ਵੀ ਪੁੱਛੋ। ਸਾਫ਼ ਸੋਚੋ। ਸ਼ਾਂਤੀ ਨਾਲ ਅੱਗੇ ਵਧੋ।',
+      placeholder: 'Ryunex ਨੂੰ ਆਪਣਾ ਸੁਨੇਹਾ ਲਿਖੋ...',
+      listening: 'ਸੁਣ ਰਿਹਾ ਹਾਂ...',
+      limitReached: 'ਅੱਜ ਦੀ ਹੱਦ ਪੂਰੀ ਹੋ ਗਈ। ਕੱਲ੍ਹ ਫਿਰ ਆਓ!'
+    }
+  },
+  {
+    id: 'ta',
+    label: 'தமிழ் (Tamil)',
+    instruction: 'Reply in Tamil written in Tamil script. Keep technical terms and code in English.',
+    copy: {
+      welcome: 'Ryunex AI-க்கு வரவேற்கிறோம்',
+      tagline: 'எதையும் கேளுங்கள். தெளிவாக சிந்தியுங்கள். அமைதியாக வளருங்கள்.',
+      placeholder: 'Ryunex-க்கு உங்கள் செய்தியை எழுதுங்கள்...',
+      listening: 'கேட்கிறேன்...',
+      limitReached: 'இன்றைய வரம்பு முடிந்தது. நாளை மீண்டும் வாருங்கள்!'
+    }
+  },
+  {
+    id: 'te',
+    label: 'తెలుగు (Telugu)',
+    instruction: 'Reply in Telugu written in Telugu script. Keep technical terms and code in English.',
+    copy: {
+      welcome: 'Ryunex AI కి స్వాగతం',
+      tagline: 'ఏదైనా అడగండి. స్పష్టంగా ఆలోచించండి. ప్రశాంతంగా ఎదగండి.',
+      placeholder: 'Ryunex కి మీ సందేశం టైప్ చేయండి...',
+      listening: 'వింటున్నాను...',
+      limitReached: 'ఈ రోజు పరిమితి ముగిసింది. రేపు మళ్ళీ రండి!'
+    }
+  },
+  {
+    id: 'kn',
+    label: 'ಕನ್ನಡ (Kannada)',
+    instruction: 'Reply in Kannada written in Kannada script. Keep technical terms and code in English.',
+    copy: {
+      welcome: 'Ryunex AI ಗೆ ಸುಸ್ವಾಗತ',
+      tagline: 'ಏನು ಬೇಕಾದರೂ ಕೇಳಿ. ಸ್ಪಷ್ಟವಾಗಿ ಯೋಚಿಸಿ. ಶಾಂತವಾಗಿ ಬೆಳೆಯಿರಿ.',
+      placeholder: 'Ryunex ಗೆ ನಿಮ್ಮ ಸಂದೇಶ ಬರೆಯಿರಿ...',
+      listening: 'ಕೇಳುತ್ತಿದ್ದೇನೆ...',
+      limitReached: 'ಇಂದಿನ ಮಿತಿ ಮುಗಿದಿದೆ. ನಾಳೆ ಮತ್ತೆ ಬನ್ನಿ!'
+    }
+  },
+  {
+    id: 'ml',
+    label: 'മലയാളം (Malayalam)',
+    instruction: 'Reply in Malayalam written in Malayalam script. Keep technical terms and code in English.',
+    copy: {
+      welcome: 'Ryunex AI-ലേക്ക് സ്വാഗതം',
+      tagline: 'എന്തും ചോദിക്കൂ. വ്യക്തമായി ചിന്തിക്കൂ. ശാന്തമായി വളരൂ.',
+      placeholder: 'Ryunex-ന് നിങ്ങളുടെ സന്ദേശം എഴുതൂ...',
+      listening: 'കേൾക്കുന്നു...',
+      limitReached: 'ഇന്നത്തെ പരിധി കഴിഞ്ഞു. നാളെ വീണ്ടും വരൂ!'
+    }
+  }
+];
+
+/**
+ * Looks a language up by id; unknown ids fall back to the Hinglish default.
+ */
+export const getResponseLanguage = (id) => RESPONSE_LANGUAGES.find(language => language.id === id)
+  || RESPONSE_LANGUAGES.find(language => language.id === DEFAULT_RESPONSE_LANGUAGE);
+
+/**
+ * Rewrites a mode prompt so the reply language follows the user's choice.
+ * The "Default language is Hinglish" line is dropped and the DEFAULT LANGUAGE
+ * section is replaced (or added, for custom prompts without one).
+ *
+ * @param {string} prompt - Mode system prompt
+ * @param {string} languageId - Id from RESPONSE_LANGUAGES
+ * @returns {string}
+ */
+export const applyResponseLanguage = (prompt, languageId) => {
+  // The prompts already ask for Hinglish
+  if (!languageId || languageId === DEFAULT_RESPONSE_LANGUAGE) return prompt;
+
+  const section = `RESPONSE LANGUAGE:\n${getResponseLanguage(languageId).instruction}\n`;
+  const withoutDefaultLine = prompt.replace(/^- Default language is .*\n/gm, '');
+
+  return /DEFAULT LANGUAGE:\n.*(\n|$)/.test(withoutDefaultLine)
+    ? withoutDefaultLine.replace(/DEFAULT LANGUAGE:\n.*(\n|$)/, section)
+    : `${withoutDefaultLine.trimEnd()}\n\n${section}`;
+};
@@ -0,0 +1,82 @@
+// Message tree: a chat keeps every version of every message in one flat list (oldest first).
+// Each message points at the one it answers or follows through `parentId` (null for the first),
+// so an edited question or a regenerated reply becomes a sibling branch. The chat's
+// `activeLeafId` picks the branch that is shown and sent to the model.
+
+/**
+ * Gives messages saved before branching existed a parent: the message before them.
+ * @param {Array<Object>} messages
+ * @returns {Array<Object>} - The same array when nothing was missing
+ */
+export const withParentIds = (messages) => {
+  if (messages.every(message => message.parentId !== undefined)) return messages;
+  return messages.map((message, index) => (message.parentId === undefined
+    ? { ...message, parentId: index > 0 ? messages[index - 1].id : null }
+    : message));
+};
+
+/**
+ * The conversation ending at `leafId`, oldest first. Falls back to the newest message's branch.
+ * @param {Array<Object>} messages - Every message of the chat
+ * @param {number|string|null} leafId
+ * @returns {Array<Object>}
+ */
+export const getThread = (messages, leafId) => {
+  if (messages.length === 0) return [];
+
+  messages = withParentIds(messages);
+  const byId = new Map(messages.map(message => [message.id, message]));
+  const thread = [];
+  // A damaged chat can link messages in a loop; stop where it closes
+  const visited = new Set();
+  let current = byId.get(leafId) || messages[messages.length - 1];
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    thread.push(current);
+    current = current.parentId === null ? null : byId.get(current.parentId);
+  }
+  return thread.reverse();
+};
+
+/**
+ * A message whose chain of parents leads back to itself, which a well-formed chat never has.
+ * @param {Array<Object>} messages
+ * @returns {number|string|null} - Id of a message in the loop, or null when there is none
+ */
+export const findParentLoop = (messages) => {
+  const byId = new Map(messages.map(message => [message.id, message]));
+  // Messages already known to lead up to a first message
+  const rooted = new Set();
+  for (const message of messages) {
+    const path = new Set();
+    let current = message;
+    while (current && !rooted.has(current.id)) {
+      if (path.has(current.id)) return current.id;
+      path.add(current.id);
+      current = current.parentId === null || current.parentId === undefined ? null : byId.get(current.parentId);
+    }
+    path.forEach(id => rooted.add(id));
+  }
+  return null;
+};
+
+/**
+ * All versions of a message (itself included), oldest first.
+ */
+export const getSiblings = (messages, message) => messages.filter(other => other.parentId === message.parentId);
+
+/**
+ * Follows the newest reply at every step below a message, to open a branch where it was left off.
+ * @returns {number|string} - Id of the last message on that branch
+ */
+export const getLatestLeaf = (messages, messageId) => {
+  let leafId = messageId;
+  const visited = new Set([messageId]);
+  for (;;) {
+    const children = messages.filter(message => message.parentId === leafId);
+    const next = children[children.length - 1]?.id;
+    if (next === undefined || visited.has(next)) return leafId;
+    visited.add(next);
+    leafId = next;
+  }
+};
@@ -0,0 +1,115 @@
+// Chat modes: the four built-in personas plus user-defined custom modes
+import { getCustomModes, saveCustomModes, getChatHistory, saveChatHistory } from './storage';
+
+// Full class strings, so Tailwind sees every one of them at build time
+export const ACCENT_COLORS = {
+  cyan: { label: 'Cyan', swatch: 'bg-[#22d3ee]', accent: 'text-[#22d3ee]', glow: 'shadow-[0_0_30px_rgba(147,51,234,0.15)]', iconColor: 'text-[#22d3ee]' },
+  yellow: { label: 'Yellow', swatch: 'bg-yellow-400', accent: 'text-yellow-400', glow: 'shadow-[0_0_30px_rgba(250,204,21,0.15)]', iconColor: 'text-yellow-400' },
+  green: { label: 'Green', swatch: 'bg-green-400', accent: 'text-green-400', glow: 'shadow-[0_0_30px_rgba(74,222,128,0.15)]', iconColor: 'text-green-400' },
+  teal: { label: 'Teal', swatch: 'bg-teal-400', accent: 'text-teal-400', glow: 'shadow-[0_0_30px_rgba(45,212,191,0.15)]', iconColor: 'text-teal-400' },
+  purple: { label: 'Purple', swatch: 'bg-purple-400', accent: 'text-purple-400', glow: 'shadow-[0_0_30px_rgba(192,132,252,0.15)]', iconColor: 'text-purple-400' },
+  pink: { label: 'Pink', swatch: 'bg-pink-400', accent: 'text-pink-400', glow: 'shadow-[0_0_30px_rgba(244,114,182,0.15)]', iconColor: 'text-pink-400' },
+  orange: { label: 'Orange', swatch: 'bg-orange-400', accent: 'text-orange-400', glow: 'shadow-[0_0_30px_rgba(251,146,60,0.15)]', iconColor: 'text-orange-400' },
+  blue: { label: 'Blue', swatch: 'bg-blue-400', accent: 'text-blue-400', glow: 'shadow-[0_0_30px_rgba(96,165,250,0.15)]', iconColor: 'text-blue-400' },
+  red: { label: 'Red', swatch: 'bg-red-400', accent: 'text-red-400', glow: 'shadow-[0_0_30px_rgba(248,113,113,0.15)]', iconColor: 'text-red-400' }
+};
+
+// Built-in modes keep their names as ids, which is what existing chats store in `mode`
+export const BUILT_IN_MODES = [
+  { id: 'Student', name: 'Student', icon: 'student', accent: 'yellow', builtIn: true },
+  { id: 'Coder', name: 'Coder', icon: 'code', accent: 'green', builtIn: true },
+  { id: 'Chill', name: 'Chill', icon: 'leaf', accent: 'teal', builtIn: true },
+  { id: 'Solance', name: 'Solance', icon: 'target', accent: 'cyan', builtIn: true }
+];
+
+export const DEFAULT_MODE_ID = 'Solance';
+
+const MAX_MODE_NAME_LENGTH = 30;
+
+/**
+ * Starting point for a new persona's system prompt, in the same shape as the built-in ones.
+ */
+export const CUSTOM_PROMPT_TEMPLATE = `You are RYUNEX AI operating in a custom mode.
+
+IDENTITY:
+Describe who the assistant is in this mode.
+
+ROLE & PURPOSE:
+What should it help the user with?
+
+ANSWER STYLE:
+- How long and how structured answers should be
+
+BEHAVIOR RULES:
+- What it should never do
+
+DEFAULT LANGUAGE:
+Hinglish
+`;
+
+/**
+ * All modes, built-in first.
+ */
+export const getModes = () => [...BUILT_IN_MODES, ...getCustomModes()];
+
+/**
+ * Looks a mode up by id; unknown ids (e.g. a deleted custom mode) resolve to null.
+ */
+export const getMode = (id) => getModes().find(mode => mode.id === id) || null;
+
+export const getModeName = (id) => getMode(id)?.name || id;
+
+/**
+ * Accent classes for a mode (welcome screen, badges).
+ */
+export const getModeStyles = (id) => ACCENT_COLORS[getMode(id)?.accent] || ACCENT_COLORS.cyan;
+
+/**
+ * Checks a custom mode before saving.
+ * @returns {string|null} - What is wrong, or null when it is valid
+ */
+export const validateCustomMode = (fields, existingId = null) => {
+  const name = fields.name?.trim() || '';
+  if (!name) return 'Give the mode a name.';
+  if (name.length > MAX_MODE_NAME_LENGTH) return `Keep the name under ${MAX_MODE_NAME_LENGTH} characters.`;
+  const clash = getModes().find(mode => mode.id !== existingId && mode.name.toLowerCase() === name.toLowerCase());
+  if (clash) return `A mode called "${clash.name}" already exists.`;
+  if (!fields.systemPrompt?.trim()) return 'The system prompt cannot be empty.';
+  return null;
+};
+
+const normalizeFields = (fields) => ({
+  name: fields.name.trim(),
+  icon: fields.icon || 'sparkles',
+  accent: ACCENT_COLORS[fields.accent] ? fields.accent : 'purple',
+  systemPrompt: fields.systemPrompt.trim(),
+  temperature: Math.min(2, Math.max(0, Number(fields.temperature ?? 0.7))),
+  model: fields.model || null
+});
+
+/**
+ * Adds a custom mode.
+ * @param {{name: string, icon: string, accent: string, systemPrompt: string, temperature: number, model: string|null}} fields
+ * @returns {Object} - The saved mode
+ */
+export const createCustomMode = (fields) => {
+  const mode = {
+    id: `custom-${crypto.randomUUID()}`,
+    ...normalizeFields(fields),
+    createdAt: new Date().toISOString()
+  };
+  saveCustomModes([...getCustomModes(), mode]);
+  return mode;
+};
+
+export const updateCustomMode = (id, fields) => {
+  saveCustomModes(getCustomModes().map(mode => (mode.id === id ? { ...mode, ...normalizeFields(fields) } : mode)));
+};
+
+/**
+ * Removes a custom mode together with its chats, which could no longer be opened.
+ */
+export const deleteCustomMode = (id) => {
+  saveChatHistory(getChatHistory().filter(chat => chat.mode !== id));
+  saveCustomModes(getCustomModes().filter(mode => mode.id !== id));
+};
@@ -0,0 +1,256 @@
+import { callGeminiAPI, fetchServiceHealth } from './api';
+import { getChatHistory, getChatById, getPreferences, subscribeToChats, updateChatMessages, updateChatSummary } from './storage';
+import { getThread } from './messageTree';
+import { toChatError } from './errors';
+
+// Outbox for questions that could not be sent: the browser was offline, or the server or every
+// provider was down. The queue lives on the messages themselves: an unsent user message carries
+// `delivery: {status, attempts, nextAttemptAt, error}` until it is answered, so it is saved and
+// synced across tabs with the chat. One tab at a time sends from it (see startOutbox()).
+
+export const DELIVERY_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  // Gave up after MAX_ATTEMPTS, or the request itself was refused; only the user can retry
+  FAILED: 'failed'
+};
+
+const RETRY_BASE_MS = 10 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 6;
+const OUTBOX_LOCK = 'ryunex-outbox';
+
+let retryTimer = null;
+let isDelivering = false;
+// The message being sent by this tab, so cancelling or editing it can stop the request
+let inFlight = null;
+
+const findMessage = (chatId, messageId) => getChatById(chatId)?.messages.find(message => message.id === messageId);
+
+/**
+ * Rewrites one message of a chat, keeping the branch that is shown.
+ */
+const updateMessage = (chatId, messageId, update) => {
+  const chat = getChatById(chatId);
+  if (!chat?.messages.some(message => message.id === messageId)) return;
+  updateChatMessages(chatId, chat.messages.map(message => (message.id === messageId ? update(message) : message)), chat.activeLeafId);
+};
+
+const setDelivery = (chatId, messageId, delivery) => updateMessage(chatId, messageId, message => ({ ...message, delivery }));
+
+const withoutDelivery = (message) => {
+  const { delivery: _delivery, ...delivered } = message;
+  return delivered;
+};
+
+const abortInFlight = (chatId, messageId) => {
+  if (inFlight?.chatId === chatId && inFlight.messageId === messageId) {
+    inFlight.controller.abort();
+  }
+};
+
+/**
+ * When the first cooling Gemini key can take requests again, if the server knows.
+ */
+const getKeysReadyAt = (health) => {
+  const cooldowns = (health?.keys || []).filter(key => key.status === 'cooling').map(key => key.cooldownUntil);
+  return cooldowns.length > 0 ? Math.min(...cooldowns) : 0;
+};
+
+/**
+ * Puts a question that could not be sent into the outbox. Each failed attempt doubles the wait,
+ * and after MAX_ATTEMPTS the message is marked failed. A failure that sending again can't fix
+ * (a blocked or rejected request, a bug) marks it failed right away.
+ *
+ * @param {number} chatId
+ * @param {number} messageId - A user message already saved on the chat
+ * @param {Object|null} [error] - Why the last attempt failed, from ChatError.toJSON(); null when nothing was tried (offline)
+ * @param {number} [notBefore] - Earliest retry time (ms), e.g. when a rate-limited key cools down
+ */
+export const queueMessage = (chatId, messageId, error = null, notBefore = 0) => {
+  const message = findMessage(chatId, messageId);
+  if (!message) return;
+
+  const attempts = (message.delivery?.attempts || 0) + (error ? 1 : 0);
+  setDelivery(chatId, messageId, attempts >= MAX_ATTEMPTS || error?.retryable === false
+    ? { status: DELIVERY_STATUS.FAILED, attempts, nextAttemptAt: null, error }
+    : {
+      status: DELIVERY_STATUS.QUEUED,
+      attempts,
+      nextAttemptAt: Math.max(Date.now() + (error ? Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS) : 0), notBefore),
+      error
+    });
+};
+
+/**
+ * Sends a queued or failed message again right away.
+ */
+export const retryMessage = (chatId, messageId) => {
+  setDelivery(chatId, messageId, { status: DELIVERY_STATUS.QUEUED, attempts: 0, nextAttemptAt: Date.now(), error: null });
+};
+
+/**
+ * Changes the text of an unsent message and sends it right away. Unlike editing an answered
+ * question this keeps no old version, as nothing was ever answered.
+ */
+export const editQueuedMessage = (chatId, messageId, text) => {
+  abortInFlight(chatId, messageId);
+  updateMessage(chatId, messageId, message => ({
+    ...message,
+    text,
+    delivery: { status: DELIVERY_STATUS.QUEUED, attempts: 0, nextAttemptAt: Date.now(), error: null }
+  }));
+};
+
+/**
+ * Removes an unsent message from its chat, showing the message before it instead.
+ */
+export const cancelQueuedMessage = (chatId, messageId) => {
+  const chat = getChatById(chatId);
+  const message = findMessage(chatId, messageId);
+  if (!message) return;
+
+  abortInFlight(chatId, messageId);
+  const shown = getThread(chat.messages, chat.activeLeafId);
+  const isShown = shown.some(other => other.id === messageId);
+  updateChatMessages(
+    chatId,
+    chat.messages.filter(other => other.id !== messageId && other.parentId !== messageId),
+    isShown ? message.parentId : chat.activeLeafId
+  );
+};
+
+/**
+ * Asks for a reply to one queued message and adds it to the chat, or queues the message again.
+ */
+const deliver = async (chatId, message) => {
+  const controller = new AbortController();
+  inFlight = { chatId, messageId: message.id, controller };
+  setDelivery(chatId, message.id, { ...message.delivery, status: DELIVERY_STATUS.SENDING });
+
+  const chat = getChatById(chatId);
+  const result = await callGeminiAPI(message.text, chat.mode, getThread(chat.messages, message.id).slice(0, -1), {
+    signal: controller.signal,
+    summary: chat.summary,
+    attachments: message.attachments || [],
+    documents: chat.documents || [],
+    generationSettings: chat.generationSettings || null,
+    language: chat.responseLanguage || getPreferences().responseLanguage
+  });
+  inFlight = null;
+
+  if (result.summary) {
+    updateChatSummary(chatId, result.summary);
+  }
+
+  // Cancelled, edited or retried from another tab while the request was out
+  if (result.isCancelled || findMessage(chatId, message.id)?.delivery?.status !== DELIVERY_STATUS.SENDING) return;
+
+  if (result.success) {
+    const current = getChatById(chatId);
+    const reply = {
+      id: Date.now() + 1,
+      parentId: message.id,
+      role: 'ai',
+      text: result.text,
+      timestamp: new Date().toISOString(),
+      modelUsed: result.modelUsed,
+      ...(chat.generationSettings && { generationSettings: chat.generationSettings }),
+      ...(result.sources?.length > 0 && { sources: result.sources }),
+      metrics: result.metrics
+    };
+    // Open the reply when its question is the end of the branch on screen
+    const shown = getThread(current.messages, current.activeLeafId);
+    const isShown = shown[shown.length - 1]?.id === message.id;
+    updateChatMessages(
+      chatId,
+      [...current.messages.map(other => (other.id === message.id ? withoutDelivery(other) : other)), reply],
+      isShown ? reply.id : current.activeLeafId
+    );
+  } else {
+    // Rate-limited keys say when they cool down; there is no point asking before
+    const health = result.error.retryable ? await fetchServiceHealth() : null;
+    queueMessage(chatId, message.id, result.error, getKeysReadyAt(health));
+  }
+};
+
+/**
+ * Every queued message across chats, the one due first at the front.
+ */
+const getQueue = () => getChatHistory()
+  .flatMap(chat => chat.messages
+    .filter(message => message.delivery?.status === DELIVERY_STATUS.QUEUED)
+    .map(message => ({ chatId: chat.id, message })))
+  .sort((a, b) => a.message.delivery.nextAttemptAt - b.message.delivery.nextAttemptAt);
+
+/**
+ * Sends due messages one at a time, then sleeps until the next one is due.
+ */
+const processQueue = async () => {
+  if (isDelivering || !navigator.onLine) return;
+
+  clearTimeout(retryTimer);
+  const [next] = getQueue();
+  if (!next) return;
+
+  const wait = next.message.delivery.nextAttemptAt - Date.now();
+  if (wait > 0) {
+    retryTimer = setTimeout(processQueue, wait);
+    return;
+  }
+
+  isDelivering = true;
+  try {
+    await deliver(next.chatId, next.message);
+  } catch (error) {
+    // Not a failed request but a bug, so the message is marked failed instead of retried
+    console.error('Sending a queued message failed:', error);
+    queueMessage(next.chatId, next.message.id, toChatError(error).toJSON());
+  } finally {
+    isDelivering = false;
+  }
+  processQueue();
+};
+
+/**
+ * Sends everything queued as soon as the connection is back, instead of waiting out the backoff.
+ */
+const handleOnline = () => {
+  for (const { chatId, message } of getQueue()) {
+    if (message.delivery.nextAttemptAt > Date.now()) {
+      setDelivery(chatId, message.id, { ...message.delivery, nextAttemptAt: Date.now() });
+    }
+  }
+  processQueue();
+};
+
+const runOutbox = () => {
+  // A tab closed mid-send leaves its message marked as sending
+  for (const chat of getChatHistory()) {
+    for (const message of chat.messages) {
+      if (message.delivery?.status === DELIVERY_STATUS.SENDING) {
+        setDelivery(chat.id, message.id, { ...message.delivery, status: DELIVERY_STATUS.QUEUED, nextAttemptAt: Date.now() });
+      }
+    }
+  }
+
+  subscribeToChats(processQueue);
+  window.addEventListener('online', handleOnline);
+  processQueue();
+};
+
+/**
+ * Starts sending queued messages. With several tabs open only one sends, and the next
+ * takes over when it closes; the others just show the states it saves.
+ */
+export const startOutbox = () => {
+  if (navigator.locks) {
+    // Held for as long as this tab is open
+    navigator.locks.request(OUTBOX_LOCK, () => {
+      runOutbox();
+      return new Promise(() => {});
+    });
+  } else {
+    runOutbox();
+  }
+};
@@ -0,0 +1,110 @@
+// Local lexical retrieval (BM25) over study document chunks
+import { estimateTokens } from './context';
+
+// Standard BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Chunks injected per turn, and the token budget they may use together
+const MAX_CHUNKS = 5;
+const MAX_CONTEXT_TOKENS = 2000;
+
+// Common English and Hinglish words that carry no meaning for ranking
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'what', 'which',
+  'who', 'how', 'why', 'when', 'where', 'do', 'does', 'did', 'can', 'could', 'should', 'would', 'will',
+  'i', 'me', 'my', 'you', 'your', 'we', 'our', 'they', 'he', 'she', 'please', 'explain', 'tell', 'about',
+  'hai', 'hain', 'ka', 'ki', 'ke', 'ko', 'se', 'mein', 'kya', 'kaise', 'kyu', 'kyun', 'aur', 'ya',
+  'yeh', 'ye', 'woh', 'wo', 'mujhe', 'batao', 'samjhao', 'bhai', 'na', 'nahi', 'toh', 'bhi'
+]);
+
+/**
+ * Lowercases text and splits it into searchable terms (letters and digits in any script).
+ */
+export const tokenize = (text = '') => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+
+/**
+ * Builds a BM25 index over chunks.
+ * @param {Array<{id: string, text: string}>} chunks
+ */
+export const createBm25Index = (chunks) => {
+  const documentFrequency = new Map();
+  const entries = chunks.map(chunk => {
+    const terms = tokenize(`${chunk.section || ''} ${chunk.text}`);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    for (const term of frequencies.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+    return { chunk, frequencies, length: terms.length };
+  });
+
+  const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+
+  return { entries, documentFrequency, averageLength };
+};
+
+/**
+ * Ranks indexed chunks against a query.
+ * @returns {Array<{chunk: Object, score: number}>} - Best match first; chunks sharing no terms with the query are left out.
+ */
+export const searchBm25Index = (index, query, limit = MAX_CHUNKS) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+
+  const total = index.entries.length;
+  const results = [];
+
+  for (const entry of index.entries) {
+    let score = 0;
+    for (const term of queryTerms) {
+      const frequency = entry.frequencies.get(term);
+      if (!frequency) continue;
+      const df = index.documentFrequency.get(term);
+      const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+      score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * entry.length / (index.averageLength || 1)));
+    }
+    if (score > 0) results.push({ chunk: entry.chunk, score });
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+// Indexes are rebuilt only when a chat's set of documents changes
+const indexCache = new Map();
+
+const getIndex = (documents) => {
+  const key = documents.map(doc => doc.id).join('|');
+  if (!indexCache.has(key)) {
+    const chunks = documents.flatMap(doc => doc.chunks.map(chunk => ({ ...chunk, documentName: doc.name })));
+    indexCache.set(key, createBm25Index(chunks));
+  }
+  return indexCache.get(key);
+};
+
+/**
+ * Picks the chunks of a chat's documents most relevant to the current question.
+ *
+ * @param {Array} documents - The chat's documents (see utils/documents.js).
+ * @param {string} query - The user's message, optionally with the previous question for follow-ups.
+ * @returns {Array<{documentName: string, section: string, text: string}>} - Within MAX_CONTEXT_TOKENS, best first.
+ */
+export const retrieveRelevantChunks = (documents, query) => {
+  if (!documents?.length || !query?.trim()) return [];
+
+  let budget = MAX_CONTEXT_TOKENS;
+  const selected = [];
+
+  for (const { chunk } of searchBm25Index(getIndex(documents), query, MAX_CHUNKS)) {
+    const cost = estimateTokens(chunk.text);
+    if (cost > budget) continue;
+    budget -= cost;
+    selected.push({ documentName: chunk.documentName, section: chunk.section, text: chunk.text });
+  }
+
+  return selected;
+};
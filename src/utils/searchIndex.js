@@ -0,0 +1,223 @@
+// Full-text search over every chat's messages.
+// An inverted index is kept in memory and updated incrementally: saved messages are immutable
+// objects, so only messages whose object changed since the last search are re-indexed.
+
+export const DATE_FILTERS = [
+  { id: 'any', label: 'Any time', days: null },
+  { id: 'day', label: 'Past day', days: 1 },
+  { id: 'week', label: 'Past week', days: 7 },
+  { id: 'month', label: 'Past month', days: 30 },
+  { id: 'year', label: 'Past year', days: 365 }
+];
+
+const MAX_RESULTS = 50;
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 160;
+// The last query word matches as a prefix while the user is still typing it
+const MIN_PREFIX_LENGTH = 2;
+
+// BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+const PHRASE_BOOST = 1.5;
+
+// Letters, digits and combining marks, so Indic scripts are not split inside words
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+/** @type {Map<string, Map<string, number>>} term -> document key -> term frequency */
+const postings = new Map();
+/** @type {Map<string, {chatId: number, message: Object, text: string, length: number}>} */
+const documents = new Map();
+/** @type {Map<number, {chat: Object, messages: Map<string, Object>}>} */
+const indexedChats = new Map();
+let totalLength = 0;
+
+export const tokenize = (text) => (text.toLowerCase().match(TOKEN_PATTERN) || []);
+
+const documentKey = (chatId, messageId) => `${chatId}:${messageId}`;
+
+const messageText = (message) => message.text || message.content || '';
+
+const addDocument = (chatId, message) => {
+  const key = documentKey(chatId, message.id);
+  const text = messageText(message);
+  const tokens = tokenize(text);
+
+  const counts = new Map();
+  for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+  for (const [term, count] of counts) {
+    if (!postings.has(term)) postings.set(term, new Map());
+    postings.get(term).set(key, count);
+  }
+
+  documents.set(key, { chatId, message, text, length: tokens.length });
+  totalLength += tokens.length;
+};
+
+const removeDocument = (chatId, messageId) => {
+  const key = documentKey(chatId, messageId);
+  const document = documents.get(key);
+  if (!document) return;
+
+  for (const term of new Set(tokenize(document.text))) {
+    const entries = postings.get(term);
+    entries?.delete(key);
+    if (entries?.size === 0) postings.delete(term);
+  }
+  documents.delete(key);
+  totalLength -= document.length;
+};
+
+/**
+ * Brings the index up to date with the given chats. Unchanged messages cost one comparison each.
+ * @param {Array<Object>} chats - The full chat history
+ */
+export const syncSearchIndex = (chats) => {
+  const seenChats = new Set();
+
+  for (const chat of chats) {
+    seenChats.add(chat.id);
+    const indexed = indexedChats.get(chat.id) || { chat, messages: new Map() };
+    indexed.chat = chat;
+
+    const seenMessages = new Set();
+    for (const message of chat.messages || []) {
+      const id = String(message.id);
+      seenMessages.add(id);
+      if (indexed.messages.get(id) === message) continue;
+      if (indexed.messages.has(id)) removeDocument(chat.id, message.id);
+      addDocument(chat.id, message);
+      indexed.messages.set(id, message);
+    }
+    for (const [id, message] of indexed.messages) {
+      if (!seenMessages.has(id)) {
+        removeDocument(chat.id, message.id);
+        indexed.messages.delete(id);
+      }
+    }
+    indexedChats.set(chat.id, indexed);
+  }
+
+  for (const [chatId, indexed] of indexedChats) {
+    if (seenChats.has(chatId)) continue;
+    for (const message of indexed.messages.values()) removeDocument(chatId, message.id);
+    indexedChats.delete(chatId);
+  }
+};
+
+/**
+ * Document keys and frequencies for a query word; the last word also matches longer words.
+ */
+const matchTerm = (word, isPrefix) => {
+  if (!isPrefix || word.length < MIN_PREFIX_LENGTH) {
+    return postings.get(word) ? [postings.get(word)] : [];
+  }
+  const matches = [];
+  for (const [term, entries] of postings) {
+    if (term.startsWith(word)) matches.push(entries);
+  }
+  return matches;
+};
+
+/**
+ * Splits a snippet into plain and highlighted parts.
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+const buildSnippet = (text, words) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+
+  const first = words.reduce((best, word) => {
+    const index = lower.indexOf(word);
+    return index !== -1 && (best === -1 || index < best) ? index : best;
+  }, -1);
+  const start = Math.max(0, first - SNIPPET_BEFORE);
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH);
+
+  // Highlight every word that starts with a query word
+  const window = flat.slice(start, end);
+  const parts = [];
+  let cursor = 0;
+  for (const match of window.matchAll(TOKEN_PATTERN)) {
+    const token = match[0].toLowerCase();
+    if (!words.some(word => token.startsWith(word))) continue;
+    if (match.index > cursor) parts.push({ text: window.slice(cursor, match.index), match: false });
+    parts.push({ text: match[0], match: true });
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < window.length) parts.push({ text: window.slice(cursor), match: false });
+
+  if (start > 0) parts.unshift({ text: '…', match: false });
+  if (end < flat.length) parts.push({ text: '…', match: false });
+  return parts;
+};
+
+/**
+ * Ranked search over the indexed messages. Every query word must match (the last one as a prefix).
+ *
+ * @param {string} query
+ * @param {{mode?: string|null, date?: string}} [filters] - Mode id (null for all) and a DATE_FILTERS id
+ * @returns {Array<{chatId: number, chatTitle: string, mode: string, messageId: number, role: string, timestamp: string, score: number, snippet: Array<{text: string, match: boolean}>}>}
+ */
+export const searchMessages = (query, { mode = null, date = 'any' } = {}) => {
+  const words = [...new Set(tokenize(query))];
+  if (words.length === 0 || documents.size === 0) return [];
+
+  const days = DATE_FILTERS.find(filter => filter.id === date)?.days;
+  const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : null;
+  const averageLength = totalLength / documents.size || 1;
+
+  let scores = null;
+  words.forEach((word, index) => {
+    const wordScores = new Map();
+    for (const entries of matchTerm(word, index === words.length - 1)) {
+      const idf = Math.log(1 + (documents.size - entries.size + 0.5) / (entries.size + 0.5));
+      for (const [key, frequency] of entries) {
+        const { length } = documents.get(key);
+        const score = idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+        wordScores.set(key, Math.max(wordScores.get(key) || 0, score));
+      }
+    }
+
+    // Keep only documents that matched every word so far
+    if (scores === null) {
+      scores = wordScores;
+    } else {
+      for (const [key, score] of scores) {
+        if (wordScores.has(key)) scores.set(key, score + wordScores.get(key));
+        else scores.delete(key);
+      }
+    }
+  });
+
+  const phrase = words.join(' ');
+  const results = [];
+  for (const [key, score] of scores) {
+    const { chatId, message, text } = documents.get(key);
+    const { chat } = indexedChats.get(chatId);
+    if (mode && chat.mode !== mode) continue;
+
+    const timestamp = message.timestamp || chat.createdAt;
+    if (since && new Date(timestamp).getTime() < since) continue;
+
+    const exact = words.length > 1 && tokenize(text).join(' ').includes(phrase);
+    results.push({
+      chatId,
+      chatTitle: chat.title,
+      mode: chat.mode,
+      messageId: message.id,
+      role: message.role,
+      timestamp,
+      score: exact ? score * PHRASE_BOOST : score,
+      text
+    });
+  }
+
+  // Best match first; newer messages win ties
+  results.sort((a, b) => b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp));
+
+  return results.slice(0, MAX_RESULTS).map(({ text, ...result }) => ({
+    ...result,
+    snippet: buildSnippet(text, words)
+  }));
+};
@@ -0,0 +1,87 @@
+// Speech-to-text behind a small recognizer interface, so components don't touch the Web Speech API directly
+
+/**
+ * Languages offered for dictation. Hinglish is spoken as either, so the user picks what they mostly speak.
+ */
+export const VOICE_LANGUAGES = [
+  { code: 'hi-IN', label: 'HI', name: 'Hindi' },
+  { code: 'en-IN', label: 'EN', name: 'English (India)' }
+];
+
+/**
+ * @typedef {Object} RecognizerOptions
+ * @property {string} lang - BCP 47 language tag, e.g. 'hi-IN'
+ * @property {(result: {text: string, isFinal: boolean}) => void} onResult - Transcript of the whole session so far
+ * @property {(error: {code: string, message: string}) => void} onError
+ * @property {() => void} onEnd - Recognition stopped (by stop(), silence or an error)
+ */
+
+/**
+ * @typedef {Object} Recognizer
+ * @property {() => void} start
+ * @property {() => void} stop - Stops listening and delivers the final transcript
+ * @property {() => void} abort - Stops listening and discards pending results
+ * Both stop() and abort() must end with a call to onEnd.
+ */
+
+/**
+ * A recognizer factory: `(options: RecognizerOptions) => Recognizer`.
+ * VoiceInputButton takes one as a prop, so tests can pass a fake that calls onResult/onEnd by hand.
+ * @typedef {(options: RecognizerOptions) => Recognizer} RecognizerFactory
+ */
+
+const getRecognitionClass = () => (typeof window === 'undefined'
+  ? null
+  : window.SpeechRecognition || window.webkitSpeechRecognition || null);
+
+export const isSpeechRecognitionSupported = () => getRecognitionClass() !== null;
+
+const ERROR_MESSAGES = {
+  'not-allowed': 'Microphone access was blocked. Allow it in your browser settings to use voice input.',
+  'service-not-allowed': 'Microphone access was blocked. Allow it in your browser settings to use voice input.',
+  'audio-capture': 'No microphone was found.',
+  'no-speech': "Didn't catch that. Try speaking again.",
+  'network': 'Voice input needs an internet connection in this browser.',
+  'language-not-supported': 'This language is not supported for voice input in your browser.'
+};
+
+/**
+ * Recognizer backed by the browser's SpeechRecognition (webkitSpeechRecognition in Chrome and Edge).
+ * @type {RecognizerFactory}
+ */
+export const createBrowserRecognizer = ({ lang, onResult, onError, onEnd }) => {
+  const Recognition = getRecognitionClass();
+  if (!Recognition) {
+    throw new Error('Speech recognition is not supported in this browser.');
+  }
+
+  const recognition = new Recognition();
+  recognition.lang = lang;
+  recognition.continuous = true;
+  recognition.interimResults = true;
+  recognition.maxAlternatives = 1;
+
+  recognition.onresult = (event) => {
+    let finalText = '';
+    let interimText = '';
+    for (const result of event.results) {
+      if (result.isFinal) finalText += result[0].transcript;
+      else interimText += result[0].transcript;
+    }
+    onResult({ text: `${finalText}${interimText}`.replace(/\s+/g, ' ').trim(), isFinal: !interimText });
+  };
+
+  recognition.onerror = (event) => {
+    // Aborting on purpose is not an error worth reporting
+    if (event.error === 'aborted') return;
+    onError({ code: event.error, message: ERROR_MESSAGES[event.error] || 'Voice input stopped unexpectedly.' });
+  };
+
+  recognition.onend = () => onEnd();
+
+  return {
+    start: () => recognition.start(),
+    stop: () => recognition.stop(),
+    abort: () => recognition.abort()
+  };
+};
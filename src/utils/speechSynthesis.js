@@ -0,0 +1,183 @@
+// Read-aloud for AI replies using the browser's speech-synthesis voices
+import { getPreferences, savePreferences } from './storage';
+
+// Solance is for calm reassurance, so it speaks slower and a little lower
+const MODE_SPEECH_DEFAULTS = {
+  Solance: { rate: 0.85, pitch: 0.95 }
+};
+
+const DEFAULT_SPEECH_SETTINGS = {
+  voiceURI: null,
+  rate: 1,
+  pitch: 1,
+  autoSpeak: false
+};
+
+// Chrome stops long utterances after ~15 seconds, so replies are spoken in pieces of about this many characters
+const MAX_UTTERANCE_CHARS = 220;
+
+// Voice languages tried in order when the user hasn't picked one; replies are mostly Hinglish in Latin script
+const PREFERRED_VOICE_LANGS = ['en-IN', 'hi-IN', 'en-GB', 'en-US'];
+
+export const isSpeechSynthesisSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+/**
+ * Read-aloud settings for a mode: saved choices over the mode's defaults.
+ * @returns {{voiceURI: string|null, rate: number, pitch: number, autoSpeak: boolean}}
+ */
+export const getSpeechSettings = (mode) => ({
+  ...DEFAULT_SPEECH_SETTINGS,
+  ...MODE_SPEECH_DEFAULTS[mode],
+  ...getPreferences().speech?.[mode]
+});
+
+/**
+ * Saves read-aloud settings for one mode.
+ */
+export const saveSpeechSettings = (mode, changes) => {
+  const speech = getPreferences().speech || {};
+  savePreferences({ speech: { ...speech, [mode]: { ...speech[mode], ...changes } } });
+  return getSpeechSettings(mode);
+};
+
+/**
+ * The browser's voices. Chrome loads them asynchronously, so wait for `voiceschanged` when the list is empty.
+ * @returns {Promise<SpeechSynthesisVoice[]>}
+ */
+export const loadVoices = () => new Promise((resolve) => {
+  if (!isSpeechSynthesisSupported()) {
+    resolve([]);
+    return;
+  }
+
+  const voices = window.speechSynthesis.getVoices();
+  if (voices.length > 0) {
+    resolve(voices);
+    return;
+  }
+
+  const handleChange = () => {
+    clearTimeout(timeout);
+    window.speechSynthesis.removeEventListener('voiceschanged', handleChange);
+    resolve(window.speechSynthesis.getVoices());
+  };
+  // Some browsers never fire the event when they have no voices
+  const timeout = setTimeout(handleChange, 2000);
+  window.speechSynthesis.addEventListener('voiceschanged', handleChange);
+});
+
+const pickVoice = (voices, voiceURI) => {
+  const chosen = voices.find(voice => voice.voiceURI === voiceURI);
+  if (chosen) return chosen;
+
+  for (const lang of PREFERRED_VOICE_LANGS) {
+    const match = voices.find(voice => voice.lang.replace('_', '-') === lang);
+    if (match) return match;
+  }
+  return voices.find(voice => voice.default) || null;
+};
+
+/**
+ * Turns Markdown into text worth hearing: no code blocks, link targets, emphasis markers or emoji.
+ */
+export const toSpeakableText = (text = '') => text
+  .replace(/```[\s\S]*?```/g, ' (code omitted) ')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+  .replace(/[*_~|]+/g, '')
+  .replace(/\p{Extended_Pictographic}️?/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Splits text into utterance-sized pieces at sentence boundaries.
+ */
+const splitForSpeech = (text) => {
+  const sentences = text.match(/[^.!?।]+[.!?।]*\s*/g) || [text];
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > MAX_UTTERANCE_CHARS) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  }
+  if (current.trim()) pieces.push(current.trim());
+
+  return pieces;
+};
+
+// The reply currently being read; only one plays at a time
+let session = null;
+
+const finish = (current) => {
+  if (session !== current) return;
+  session = null;
+  current.onEnd?.();
+};
+
+/**
+ * Reads text aloud, stopping whatever was playing before.
+ *
+ * @param {string} text - Reply text (Markdown is cleaned up first)
+ * @param {{voiceURI: string|null, rate: number, pitch: number}} settings - See getSpeechSettings
+ * @param {{onEnd?: () => void}} [callbacks] - onEnd runs once, when playback finishes or is stopped
+ */
+export const speakText = async (text, settings, { onEnd } = {}) => {
+  stopSpeech();
+
+  const pieces = splitForSpeech(toSpeakableText(text));
+  const current = { onEnd };
+  session = current;
+
+  if (!isSpeechSynthesisSupported() || pieces.length === 0) {
+    finish(current);
+    return;
+  }
+
+  const voice = pickVoice(await loadVoices(), settings.voiceURI);
+  // Stopped or replaced while the voices were loading
+  if (session !== current) return;
+
+  pieces.forEach((piece, index) => {
+    const utterance = new SpeechSynthesisUtterance(piece);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+    utterance.rate = settings.rate;
+    utterance.pitch = settings.pitch;
+    if (index === pieces.length - 1) {
+      utterance.onend = () => finish(current);
+    }
+    utterance.onerror = (event) => {
+      if (event.error !== 'interrupted' && event.error !== 'canceled') {
+        console.warn('Speech synthesis failed:', event.error);
+      }
+      finish(current);
+    };
+    window.speechSynthesis.speak(utterance);
+  });
+};
+
+export const pauseSpeech = () => {
+  if (session) window.speechSynthesis.pause();
+};
+
+export const resumeSpeech = () => {
+  if (session) window.speechSynthesis.resume();
+};
+
+export const stopSpeech = () => {
+  const current = session;
+  session = null;
+  if (isSpeechSynthesisSupported()) {
+    window.speechSynthesis.cancel();
+    // Chrome keeps the engine paused after cancel(), which would silence the next reply
+    window.speechSynthesis.resume();
+  }
+  current?.onEnd?.();
+};
@@ -1,11 +1,50 @@
-// LocalStorage utilities for chat history and daily usage tracking
+// Storage utilities. Chats live in IndexedDB (see chatDatabase.js) behind a synchronous
+// in-memory copy; small settings and caches stay in localStorage.
+import {
+  isIndexedDbAvailable,
+  readAllChats,
+  putChatRecord,
+  putMessageRecords,
+  deleteChatRecord,
+  getMetaValue,
+  importChats,
+  readChat
+} from './chatDatabase';
+import { withParentIds } from './messageTree';
 
 const STORAGE_KEYS = {
   CHAT_HISTORY: 'ryunex_chat_history',
   DAILY_USAGE: 'ryunex_daily_usage',
-  CURRENT_CHAT_ID: 'ryunex_current_chat_id'
+  CURRENT_CHAT_ID: 'ryunex_current_chat_id',
+  PREFERENCES: 'ryunex_preferences',
+  CUSTOM_MODES: 'ryunex_custom_modes',
+  CHAT_FOLDERS: 'ryunex_chat_folders'
 };
 
+// Keys written by the old single-page Chat.jsx
+const LEGACY_KEYS = {
+  CHAT_HISTORY: 'chatHistory',
+  DAILY_USAGE: 'dailyUsage',
+  // Client-side key rotation state; the API server rotates keys now, so there is nothing to keep
+  ACTIVE_MODEL_CONFIG: 'activeModelConfig'
+};
+
+// Meta flag set once localStorage chats have been copied into IndexedDB
+const LEGACY_IMPORT_KEY = 'legacyLocalStorageImport';
+
+// Legacy chats had no mode; they open in the default one
+const LEGACY_CHAT_MODE = 'Solance';
+
+// User settings that are not tied to a chat
+const DEFAULT_PREFERENCES = {
+  voiceInputLanguage: 'hi-IN',
+  // Reply language for chats that don't pick their own, see utils/languages.js
+  responseLanguage: 'hinglish',
+  // Read-aloud settings per mode, see utils/speechSynthesis.js
+  speech: {}
+};
+
+// Shown until the server reports the real limit
 const MAX_DAILY_MESSAGES = 25;
 
 /**
@@ -24,86 +63,441 @@ export const isNewDay = (lastDateString) => {
 };
 
 /**
- * Get daily usage from localStorage
+ * Get the last daily usage reported by the server.
+ * This is only a cache for the UI; the server enforces the limit.
+ * @returns {{count: number, limit: number, remaining: number, date: string, mode?: string, tier?: string}}
  */
 export const getDailyUsage = () => {
   try {
     const stored = localStorage.getItem(STORAGE_KEYS.DAILY_USAGE);
     if (!stored) {
-      return { count: 0, date: getTodayDateString() };
+      return { count: 0, limit: MAX_DAILY_MESSAGES, remaining: MAX_DAILY_MESSAGES, date: getTodayDateString() };
     }
-    
+
     const usage = JSON.parse(stored);
-    
-    // Check if it's a new day
-    if (isNewDay(usage.date)) {
-      const newUsage = { count: 0, date: getTodayDateString() };
-      localStorage.setItem(STORAGE_KEYS.DAILY_USAGE, JSON.stringify(newUsage));
-      return newUsage;
+
+    // Older caches only had a count; the server value will replace it on the next refresh
+    if (isNewDay(usage.date) || usage.limit === undefined) {
+      return { count: 0, limit: MAX_DAILY_MESSAGES, remaining: MAX_DAILY_MESSAGES, date: getTodayDateString() };
     }
-    
+
     return usage;
-  } catch (error) {
-    return { count: 0, date: getTodayDateString() };
+  } catch {
+    return { count: 0, limit: MAX_DAILY_MESSAGES, remaining: MAX_DAILY_MESSAGES, date: getTodayDateString() };
   }
 };
 
 /**
- * Increment daily usage count
+ * Cache the daily usage returned by the server and notify listeners.
  */
-export const incrementDailyUsage = () => {
+export const saveDailyUsage = (usage) => {
   try {
-    const usage = getDailyUsage();
-    const newUsage = { ...usage, count: usage.count + 1 };
-    localStorage.setItem(STORAGE_KEYS.DAILY_USAGE, JSON.stringify(newUsage));
-    return newUsage;
+    localStorage.setItem(STORAGE_KEYS.DAILY_USAGE, JSON.stringify(usage));
   } catch (error) {
-    return { count: 0, date: getTodayDateString() };
+    console.error('Failed to save daily usage:', error);
   }
+  window.dispatchEvent(new CustomEvent('ryunex-usage', { detail: usage }));
+  return usage;
 };
 
 /**
- * Check if daily limit is reached
+ * Check if daily limit is reached, according to the server's last answer
+ * @param {string} [mode] - Limits can differ per mode; usage cached for another mode is ignored
  */
-export const isDailyLimitReached = () => {
+export const isDailyLimitReached = (mode) => {
   const usage = getDailyUsage();
-  return usage.count >= MAX_DAILY_MESSAGES;
+  if (mode && usage.mode && usage.mode !== mode) return false;
+  return usage.remaining <= 0;
 };
 
 /**
  * Get remaining messages for today
  */
 export const getRemainingMessages = () => {
-  const usage = getDailyUsage();
-  return Math.max(0, MAX_DAILY_MESSAGES - usage.count);
+  return getDailyUsage().remaining;
 };
 
 /**
- * Get chat history from localStorage
+ * Get user preferences, filled in with defaults
  */
-export const getChatHistory = () => {
+export const getPreferences = () => {
   try {
-    const stored = localStorage.getItem(STORAGE_KEYS.CHAT_HISTORY);
-    if (!stored) {
-      return [];
-    }
-    return JSON.parse(stored);
+    const stored = localStorage.getItem(STORAGE_KEYS.PREFERENCES);
+    return { ...DEFAULT_PREFERENCES, ...(stored ? JSON.parse(stored) : {}) };
+  } catch {
+    return { ...DEFAULT_PREFERENCES };
+  }
+};
+
+/**
+ * Merge changes into the saved preferences
+ */
+export const savePreferences = (changes) => {
+  const preferences = { ...getPreferences(), ...changes };
+  try {
+    localStorage.setItem(STORAGE_KEYS.PREFERENCES, JSON.stringify(preferences));
   } catch (error) {
+    console.error('Failed to save preferences:', error);
+  }
+  return preferences;
+};
+
+/**
+ * Get the user's custom modes (see utils/modes.js)
+ */
+export const getCustomModes = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.CUSTOM_MODES);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
     return [];
   }
 };
 
 /**
- * Save chat history to localStorage
+ * Save custom modes and notify listeners
  */
-export const saveChatHistory = (chats) => {
+export const saveCustomModes = (modes) => {
   try {
-    localStorage.setItem(STORAGE_KEYS.CHAT_HISTORY, JSON.stringify(chats));
+    localStorage.setItem(STORAGE_KEYS.CUSTOM_MODES, JSON.stringify(modes));
   } catch (error) {
+    console.error('Failed to save custom modes:', error);
+  }
+  window.dispatchEvent(new CustomEvent('ryunex-modes'));
+  return modes;
+};
+
+/**
+ * Get the user's chat folders ({id, name})
+ */
+export const getChatFolders = () => readJson(STORAGE_KEYS.CHAT_FOLDERS, []);
+
+/**
+ * Save chat folders and notify listeners
+ */
+const saveChatFolders = (folders) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.CHAT_FOLDERS, JSON.stringify(folders));
+  } catch (error) {
+    console.error('Failed to save chat folders:', error);
+  }
+  window.dispatchEvent(new CustomEvent('ryunex-folders'));
+  return folders;
+};
+
+/**
+ * Add a chat folder
+ * @returns {Object} - The new folder
+ */
+export const createChatFolder = (name) => {
+  const folder = { id: `folder-${crypto.randomUUID()}`, name: name.trim().slice(0, 40) };
+  saveChatFolders([...getChatFolders(), folder]);
+  return folder;
+};
+
+export const renameChatFolder = (folderId, name) => {
+  saveChatFolders(getChatFolders().map(folder => (folder.id === folderId ? { ...folder, name: name.trim().slice(0, 40) } : folder)));
+};
+
+/**
+ * Remove a folder; its chats stay, outside any folder
+ */
+export const deleteChatFolder = (folderId) => {
+  saveChatHistory(chatCache.map(chat => (chat.folderId === folderId ? { ...chat, folderId: null } : chat)));
+  saveChatFolders(getChatFolders().filter(folder => folder.id !== folderId));
+};
+
+// Chats with their messages. Loaded once by initStorage(), then kept in sync with IndexedDB.
+let chatCache = [];
+let useIndexedDb = false;
+
+// Window event fired after every change to chats in this tab; see subscribeToChats()
+const CHATS_EVENT = 'ryunex-chats';
+// Tells other open tabs which chats were written, once the writes have committed
+const CHATS_CHANNEL = 'ryunex-chats';
+const BROADCAST_DELAY_MS = 100;
+
+// Sorted copy handed to readers; rebuilt after each change so subscribers can compare by reference
+let chatSnapshot = null;
+let chatChannel = null;
+const committedChatIds = new Set();
+let broadcastTimer = null;
+
+const readJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const notifyChatsChanged = () => {
+  chatSnapshot = null;
+  window.dispatchEvent(new CustomEvent(CHATS_EVENT));
+};
+
+/**
+ * Queues a chat for the next cross-tab message. Bursts (e.g. a streamed reply) go out as one.
+ */
+const broadcastCommitted = (chatId) => {
+  if (!chatChannel) return;
+  committedChatIds.add(chatId);
+  if (broadcastTimer) return;
+
+  broadcastTimer = setTimeout(() => {
+    broadcastTimer = null;
+    chatChannel.postMessage({ chatIds: [...committedChatIds] });
+    committedChatIds.clear();
+  }, BROADCAST_DELAY_MS);
+};
+
+/**
+ * Announces a committed background write to other tabs, or reports a failed one.
+ * The in-memory copy is still correct for this session either way.
+ */
+const persist = (promise, chatId) => promise.then(
+  () => broadcastCommitted(chatId),
+  (error) => {
     console.error('Failed to save chat history:', error);
+    window.dispatchEvent(new CustomEvent('ryunex-storage-error', { detail: { message: error?.message } }));
+  }
+);
+
+/**
+ * Writes only the messages that are new, were replaced or moved, and deletes removed ones.
+ * Messages are compared by reference, since updates always create new message objects.
+ */
+const persistMessages = (chatId, before, after) => {
+  if (before === after) return;
+
+  const previousPosition = new Map(before.map((message, position) => [message, position]));
+  const changed = after
+    .map((message, position) => ({ message, position }))
+    .filter(({ message, position }) => previousPosition.get(message) !== position);
+  const remainingIds = new Set(after.map(message => message.id));
+  const removedIds = before.filter(message => !remainingIds.has(message.id)).map(message => message.id);
+
+  if (changed.length > 0 || removedIds.length > 0) {
+    persist(putMessageRecords(chatId, changed, removedIds), chatId);
+  }
+};
+
+/**
+ * Fallback for browsers without IndexedDB: the old whole-array localStorage layout.
+ * @returns {boolean} - false when the browser refused the write (usually storage full)
+ */
+const saveLegacyChatHistory = () => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.CHAT_HISTORY, JSON.stringify(chatCache));
+    return true;
+  } catch (error) {
+    console.error('Failed to save chat history:', error);
+    return false;
   }
 };
 
+/**
+ * Applies changes to one chat and saves only what changed.
+ * @returns {boolean} - false when the chat is missing (or, without IndexedDB, could not be saved)
+ */
+const updateChat = (chatId, changes) => {
+  const before = chatCache.find(c => c.id === chatId);
+  if (!before) return false;
+
+  const chat = { ...before, ...changes };
+  chatCache = chatCache.map(c => (c.id === chatId ? chat : c));
+  notifyChatsChanged();
+
+  if (!useIndexedDb) return saveLegacyChatHistory();
+
+  if (Object.keys(changes).some(key => key !== 'messages')) {
+    persist(putChatRecord(chat), chatId);
+  }
+  if (changes.messages) {
+    persistMessages(chatId, before.messages || [], changes.messages);
+  }
+  return true;
+};
+
+/**
+ * Fills in fields older chats lack and gives every message an id (IndexedDB keys need one).
+ */
+const normalizeChat = (chat) => {
+  const createdAt = chat.createdAt || new Date(Number(chat.id) || Date.now()).toISOString();
+  return {
+    summary: null,
+    documents: [],
+    generationSettings: null,
+    responseLanguage: null,
+    titleEdited: false,
+    pinned: false,
+    archived: false,
+    tags: [],
+    folderId: null,
+    // Last message of the branch being shown, null for the newest one (see utils/messageTree.js)
+    activeLeafId: null,
+    ...chat,
+    createdAt,
+    lastActivityAt: chat.lastActivityAt || chat.messages?.at(-1)?.timestamp || createdAt,
+    // Saved before branching, messages formed a single line
+    messages: withParentIds((chat.messages || []).map((message, index) => (message.id === undefined
+      ? { ...message, id: `legacy-${index}` }
+      : message)))
+  };
+};
+
+// Most recently active first
+const byLastActivity = (a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt);
+
+/**
+ * Converts a chat from the old Chat.jsx layout ({role: 'user'|'assistant', content}).
+ */
+const fromLegacyChat = (chat) => normalizeChat({
+  id: chat.id,
+  title: chat.title,
+  mode: LEGACY_CHAT_MODE,
+  messages: (chat.messages || []).map((message, index) => ({
+    id: `legacy-${index}`,
+    role: message.role === 'assistant' ? 'ai' : 'user',
+    text: message.content || message.text || ''
+  }))
+});
+
+/**
+ * One-time copy of both localStorage layouts into IndexedDB. The old keys are removed
+ * only after the import has committed, so a failure leaves them for the next attempt.
+ */
+const importLegacyStorage = async () => {
+  const current = readJson(STORAGE_KEYS.CHAT_HISTORY, []);
+  const legacy = readJson(LEGACY_KEYS.CHAT_HISTORY, []);
+  const currentIds = new Set(current.map(chat => chat.id));
+  const chats = [
+    ...current.map(normalizeChat),
+    ...legacy.filter(chat => chat && !currentIds.has(chat.id)).map(fromLegacyChat)
+  ];
+
+  await importChats(chats, LEGACY_IMPORT_KEY);
+
+  // Today's count from Chat.jsx seeds the usage cache until the server answers
+  const legacyUsage = readJson(LEGACY_KEYS.DAILY_USAGE, null);
+  if (legacyUsage?.date === new Date().toDateString() && !localStorage.getItem(STORAGE_KEYS.DAILY_USAGE)) {
+    const count = Number(legacyUsage.count) || 0;
+    saveDailyUsage({ count, limit: MAX_DAILY_MESSAGES, remaining: Math.max(0, MAX_DAILY_MESSAGES - count), date: getTodayDateString() });
+  }
+
+  for (const key of [STORAGE_KEYS.CHAT_HISTORY, ...Object.values(LEGACY_KEYS)]) {
+    localStorage.removeItem(key);
+  }
+};
+
+/**
+ * Re-reads chats another tab has written. Its copy wins over this tab's for those chats.
+ */
+const reloadChats = async (chatIds) => {
+  try {
+    const chats = await Promise.all(chatIds.map(readChat));
+    const reloaded = new Map(chatIds.map((id, index) => [id, chats[index]]));
+    chatCache = [
+      ...chatCache.filter(chat => !reloaded.has(chat.id)),
+      ...chats.filter(Boolean).map(normalizeChat)
+    ];
+    notifyChatsChanged();
+  } catch (error) {
+    console.error('Failed to load chats changed in another tab:', error);
+  }
+};
+
+/**
+ * Keeps this tab in step with the others: chats through a BroadcastChannel (or, in the
+ * localStorage fallback, storage events), custom modes and folders through storage events.
+ */
+const listenToOtherTabs = () => {
+  if (useIndexedDb && typeof BroadcastChannel !== 'undefined') {
+    chatChannel = new BroadcastChannel(CHATS_CHANNEL);
+    chatChannel.onmessage = (event) => reloadChats(event.data?.chatIds || []);
+  }
+
+  window.addEventListener('storage', (event) => {
+    if (event.key === STORAGE_KEYS.CHAT_HISTORY && !useIndexedDb) {
+      chatCache = readJson(STORAGE_KEYS.CHAT_HISTORY, []).map(normalizeChat);
+      notifyChatsChanged();
+    } else if (event.key === STORAGE_KEYS.CUSTOM_MODES) {
+      window.dispatchEvent(new CustomEvent('ryunex-modes'));
+    } else if (event.key === STORAGE_KEYS.CHAT_FOLDERS) {
+      window.dispatchEvent(new CustomEvent('ryunex-folders'));
+    }
+  });
+};
+
+/**
+ * Loads chats before the app renders, importing legacy localStorage data on first run.
+ * Falls back to localStorage when IndexedDB is unavailable (e.g. some private windows).
+ */
+export const initStorage = async () => {
+  useIndexedDb = false;
+  if (isIndexedDbAvailable()) {
+    try {
+      if (!(await getMetaValue(LEGACY_IMPORT_KEY))) {
+        await importLegacyStorage();
+      }
+      // Chats saved before a field existed get its default
+      chatCache = (await readAllChats()).map(normalizeChat);
+      useIndexedDb = true;
+    } catch (error) {
+      console.error('IndexedDB is unavailable, keeping chats in localStorage:', error);
+    }
+  }
+
+  if (!useIndexedDb) {
+    chatCache = readJson(STORAGE_KEYS.CHAT_HISTORY, []).map(normalizeChat);
+  }
+  listenToOtherTabs();
+  notifyChatsChanged();
+};
+
+/**
+ * Calls `listener` after every change to chats, whether made in this tab or another.
+ * @returns {() => void} - Unsubscribes
+ */
+export const subscribeToChats = (listener) => {
+  window.addEventListener(CHATS_EVENT, listener);
+  return () => window.removeEventListener(CHATS_EVENT, listener);
+};
+
+/**
+ * Get chat history, most recently active first. Reads the in-memory copy loaded by initStorage().
+ * The same array is returned until chats change, so treat it as read-only.
+ */
+export const getChatHistory = () => {
+  if (!chatSnapshot) chatSnapshot = Object.freeze([...chatCache].sort(byLastActivity));
+  return chatSnapshot;
+};
+
+/**
+ * Replace the whole chat history. Only chats that changed are written.
+ * @returns {boolean}
+ */
+export const saveChatHistory = (chats) => {
+  const previous = new Map(chatCache.map(chat => [chat.id, chat]));
+  // Chats added here (e.g. imported) may predate some fields
+  chatCache = chats.map(chat => (previous.has(chat.id) ? chat : normalizeChat(chat)));
+  notifyChatsChanged();
+
+  if (!useIndexedDb) return saveLegacyChatHistory();
+
+  const kept = new Set(chats.map(chat => chat.id));
+  for (const chat of chatCache) {
+    const before = previous.get(chat.id);
+    if (before !== chat) persist(putChatRecord(chat), chat.id);
+    persistMessages(chat.id, before?.messages || [], chat.messages || []);
+  }
+  for (const id of previous.keys()) {
+    if (!kept.has(id)) persist(deleteChatRecord(id), id);
+  }
+  return true;
+};
+
 /**
  * Get current chat ID from localStorage
  */
@@ -131,61 +525,131 @@ export const saveCurrentChatId = (chatId) => {
  */
 export const createNewChat = (mode = 'Solance') => {
   const chatId = Date.now();
+  const now = new Date().toISOString();
+  // Custom modes are stored by id; show their name instead
+  const modeName = getCustomModes().find(custom => custom.id === mode)?.name || mode;
   const chat = {
     id: chatId,
-    title: `New Chat - ${mode}`,
+    title: `New Chat - ${modeName}`,
     mode: mode,
     messages: [],
-    createdAt: new Date().toISOString()
+    // Running summary of older turns, see utils/context.js
+    summary: null,
+    // Study documents, chunked for retrieval (see utils/documents.js)
+    documents: [],
+    // Model, sampling, length and safety overrides, null for the mode's defaults (see utils/generationSettings.js)
+    generationSettings: null,
+    // Reply language for this chat, null to follow the global preference
+    responseLanguage: null,
+    // Set once the user renames the chat, so auto-titling leaves it alone
+    titleEdited: false,
+    pinned: false,
+    archived: false,
+    // Colour tag ids, see components/ChatList.jsx
+    tags: [],
+    folderId: null,
+    // Last message of the branch being shown, see utils/messageTree.js
+    activeLeafId: null,
+    createdAt: now,
+    lastActivityAt: now
   };
   
-  const chats = getChatHistory();
-  chats.unshift(chat); // Add to beginning
-  saveChatHistory(chats);
+  chatCache = [chat, ...chatCache];
+  notifyChatsChanged();
+  if (useIndexedDb) persist(putChatRecord(chat), chatId);
+  else saveLegacyChatHistory();
   saveCurrentChatId(chatId);
   
   return chat;
 };
 
 /**
- * Update a chat's messages
+ * Update a chat's messages (every branch) and the branch being shown
+ * @param {number} chatId
+ * @param {Array<Object>} messages
+ * @param {number|string} [activeLeafId] - Defaults to the newest message
  */
-export const updateChatMessages = (chatId, messages) => {
-  const chats = getChatHistory();
-  const chatIndex = chats.findIndex(c => c.id === chatId);
-  
-  if (chatIndex !== -1) {
-    chats[chatIndex].messages = messages;
-    
-    // Update title from first user message if empty
-    if (!chats[chatIndex].title || chats[chatIndex].title.startsWith('New Chat')) {
-      const firstUserMessage = messages.find(m => m.role === 'user');
-      if (firstUserMessage) {
-        const title = (firstUserMessage.text || firstUserMessage.content || '').slice(0, 50);
-        chats[chatIndex].title = title || `Chat ${new Date(chats[chatIndex].createdAt).toLocaleTimeString()}`;
-      }
+export const updateChatMessages = (chatId, messages, activeLeafId = messages[messages.length - 1]?.id ?? null) => {
+  const chat = getChatById(chatId);
+  if (!chat) return;
+
+  const changes = { messages, activeLeafId, lastActivityAt: new Date().toISOString() };
+
+  // Update title from first user message if empty
+  if (!chat.titleEdited && (!chat.title || chat.title.startsWith('New Chat'))) {
+    const firstUserMessage = messages.find(m => m.role === 'user');
+    if (firstUserMessage) {
+      const title = (firstUserMessage.text || firstUserMessage.content || '').slice(0, 50);
+      changes.title = title || `Chat ${new Date(chat.createdAt).toLocaleTimeString()}`;
     }
-    
-    saveChatHistory(chats);
   }
+
+  updateChat(chatId, changes);
 };
 
+/**
+ * Save the running summary of a chat's older turns
+ */
+export const updateChatSummary = (chatId, summary) => {
+  updateChat(chatId, { summary });
+};
+
+/**
+ * Replace the study documents attached to a chat
+ * @returns {boolean} - false when the chat is missing
+ */
+export const updateChatDocuments = (chatId, documents) => updateChat(chatId, { documents });
+
+/**
+ * Update a chat's generation settings
+ * @returns {boolean} - false when the chat is missing
+ */
+export const updateChatGenerationSettings = (chatId, generationSettings) => updateChat(chatId, { generationSettings });
+
+/**
+ * Set a chat's reply language (null follows the global preference)
+ * @returns {boolean} - false when the chat is missing
+ */
+export const updateChatResponseLanguage = (chatId, responseLanguage) => updateChat(chatId, { responseLanguage });
+
+/**
+ * Rename a chat; auto-titling no longer changes it
+ * @returns {boolean} - false when the chat is missing
+ */
+export const renameChat = (chatId, title) => updateChat(chatId, { title: title.trim().slice(0, 100), titleEdited: true });
+
+/**
+ * Switch the branch shown in a chat, see utils/messageTree.js
+ * @returns {boolean} - false when the chat is missing
+ */
+export const updateChatActiveLeaf = (chatId, activeLeafId) => updateChat(chatId, { activeLeafId });
+
+export const updateChatPinned = (chatId, pinned) => updateChat(chatId, { pinned });
+
+/**
+ * Archived chats are hidden from the history list but kept
+ */
+export const updateChatArchived = (chatId, archived) => updateChat(chatId, { archived, pinned: false });
+
+export const updateChatTags = (chatId, tags) => updateChat(chatId, { tags });
+
+/**
+ * Move a chat into a folder (null for none)
+ */
+export const updateChatFolder = (chatId, folderId) => updateChat(chatId, { folderId });
+
 /**
  * Delete a chat
+ * @returns {Array<Object>} - The remaining chats, most recently active first
  */
 export const deleteChat = (chatId) => {
-  const chats = getChatHistory();
-  const filtered = chats.filter(c => c.id !== chatId);
-  saveChatHistory(filtered);
-  return filtered;
+  saveChatHistory(chatCache.filter(c => c.id !== chatId));
+  return getChatHistory();
 };
 
 /**
  * Get a specific chat by ID
  */
-export const getChatById = (chatId) => {
-  const chats = getChatHistory();
-  return chats.find(c => c.id === chatId);
-};
+export const getChatById = (chatId) => chatCache.find(c => c.id === chatId);
 
 export { MAX_DAILY_MESSAGES };
@@ -6,6 +6,14 @@ import tailwindcss from '@tailwindcss/vite'
 export default defineConfig({
   plugins: [react(), tailwindcss()],
   server: {
-    // Proxy removed as Groq SDK handles requests directly
+    // Forward API calls to the local RYUNEX API server (npm run server)
+    proxy: {
+      '/api': 'http://localhost:8787'
+    }
+  },
+  preview: {
+    proxy: {
+      '/api': 'http://localhost:8787'
+    }
   },
 })